@@ -0,0 +1,31 @@
+// assets/js/airfoil_flow_worker.js
+// Off-main-thread particle advection for the Airfoil Physics scene.
+//   in:  { type: 'seed', positions, release }              interleaved x, y; entry y per particle
+//        { type: 'step', flow, h, substeps, method,        flow as in PotentialFlow / PanelMethod,
+//          seeding, time, generation }                     seeding { emitters, hold, period } at flow time
+//   out: { type: 'positions', positions, speed, release,   transferred copies, and the step's
+//          generation }                                    generation to tell stale replies apart
+
+importScripts('potential_flow.js', 'panel_method.js');
+
+let positions = new Float32Array(0);
+let release = new Float32Array(0);
+let speed = new Float32Array(0);
+
+self.onmessage = function (e) {
+    const msg = e.data;
+    if (msg.type === 'seed') {
+        positions = msg.positions;
+        release = msg.release;
+        speed = new Float32Array(positions.length / 2);
+    } else if (msg.type === 'step') {
+        const seeding = Object.assign({ speed, release }, msg.seeding);
+        for (let i = 0; i < msg.substeps; i++) {
+            const t = msg.time + i * msg.h;
+            if (seeding.period) PotentialFlow.releaseTimelines(positions, seeding, t, t + msg.h);
+            PotentialFlow.advect(msg.flow, positions, msg.h, msg.method, seeding);
+        }
+        const out = { positions: positions.slice(), speed: speed.slice(), release: release.slice() };
+        self.postMessage(Object.assign({ type: 'positions', generation: msg.generation }, out), [out.positions.buffer, out.speed.buffer, out.release.buffer]);
+    }
+};
@@ -0,0 +1,119 @@
+// assets/js/fluid_boundaries.js
+// Per-edge boundary conditions shared by the grid solvers (fluid_sim.js, vorticity_fluid.js and
+// the inline solver in index.html). A boundary spec is
+//   { left, right, bottom, top }   each { kind, profile, speed } or just a kind
+// with kinds
+//   open        the solvers' old behaviour: clamped sampling, zero-gradient everything
+//   no-slip     wall, velocity zero
+//   free-slip   wall, normal velocity zero
+//   inflow      velocity into the domain of speed (domain heights per second) times profile
+//   outflow     convective outflow for velocity, zero pressure beyond the edge
+//   periodic    wraps to the opposite edge; always set on both edges of a pair
+// GLSL is included in the advection, divergence, pressure and gradient shaders after the host
+// defines readVel(sampler2D, vec2) and readScalar(sampler2D, vec2) for its storage (RAW_GLSL
+// for plain float fields); setUniforms feeds it once per pass.
+
+const FluidBoundaries = (function () {
+    const EDGES = ['left', 'right', 'bottom', 'top'];
+    const KINDS = ['open', 'no-slip', 'free-slip', 'inflow', 'outflow', 'periodic'];
+    const PROFILES = ['uniform', 'parabolic', 'power-law'];
+    const LABELS = {
+        open: 'Open', 'no-slip': 'No-slip wall', 'free-slip': 'Free-slip wall',
+        inflow: 'Inflow', outflow: 'Outflow', periodic: 'Periodic',
+        uniform: 'Uniform', parabolic: 'Parabolic', 'power-law': '1/7 power law'
+    };
+    const OPPOSITE = { left: 'right', right: 'left', bottom: 'top', top: 'bottom' };
+    const DEFAULT_EDGE = { kind: 'open', profile: 'uniform', speed: 0.4 };
+
+    // complete a partial spec over a base one; periodic edges pull their partner along, and an
+    // edge that stops being periodic releases it to 'open'
+    function normalize(spec = {}, base = {}) {
+        const out = {};
+        EDGES.forEach(edge => {
+            const given = typeof spec[edge] === 'string' ? { kind: spec[edge] } : spec[edge];
+            out[edge] = Object.assign({}, DEFAULT_EDGE, base[edge], given);
+            if (!KINDS.includes(out[edge].kind)) out[edge].kind = 'open';
+            if (!PROFILES.includes(out[edge].profile)) out[edge].profile = 'uniform';
+        });
+        EDGES.forEach(edge => {
+            const other = OPPOSITE[edge];
+            if (!spec[edge]) return;
+            if (out[edge].kind === 'periodic') out[other].kind = 'periodic';
+            else if (out[other].kind === 'periodic') out[other].kind = 'open';
+        });
+        return out;
+    }
+
+    const RAW_GLSL = `
+        vec2 readVel(sampler2D s, vec2 uv) { return texture2D(s, uv).xy; }
+        float readScalar(sampler2D s, vec2 uv) { return texture2D(s, uv).x; }
+    `;
+
+    const GLSL = `
+        uniform ivec4 bcKind;      // left, right, bottom, top as indices into KINDS
+        uniform ivec4 bcProfile;
+        uniform vec4 bcSpeed;      // inflow speed in the solver's velocity units
+        uniform float bcDt;
+
+        vec2 bcWrap(vec2 uv) {
+            if (bcKind.x == 5) uv.x = fract(uv.x);
+            if (bcKind.z == 5) uv.y = fract(uv.y);
+            return uv;
+        }
+
+        float bcProfileAt(int profile, float s) {
+            if (profile == 1) return 4.0 * s * (1.0 - s);
+            if (profile == 2) return pow(clamp(min(s, 1.0 - s) / 0.1, 0.0, 1.0), 1.0 / 7.0);
+            return 1.0;
+        }
+
+        // n points into the domain and s runs along the edge; inner is the next texel in
+        vec2 bcEdge(int kind, int profile, float speed, vec2 n, float s, vec2 vel, vec2 inner) {
+            if (kind == 1) return vec2(0.0);
+            if (kind == 2) return vel - dot(vel, n) * n;
+            if (kind == 3) return n * speed * bcProfileAt(profile, s);
+            if (kind == 4) return mix(vel, inner, clamp(-dot(vel, n) * bcDt, 0.0, 1.0));
+            return vel;
+        }
+
+        // velocity written at uv with the edge conditions applied; corners take the top and
+        // bottom edges
+        vec2 bcVelocity(sampler2D field, vec2 uv, vec2 vel, vec2 texelSize) {
+            vec2 dx = vec2(texelSize.x, 0.0), dy = vec2(0.0, texelSize.y);
+            if (uv.x < texelSize.x)
+                vel = bcEdge(bcKind.x, bcProfile.x, bcSpeed.x, vec2(1.0, 0.0), uv.y, vel, readVel(field, uv + dx));
+            if (uv.x > 1.0 - texelSize.x)
+                vel = bcEdge(bcKind.y, bcProfile.y, bcSpeed.y, vec2(-1.0, 0.0), uv.y, vel, readVel(field, uv - dx));
+            if (uv.y < texelSize.y)
+                vel = bcEdge(bcKind.z, bcProfile.z, bcSpeed.z, vec2(0.0, 1.0), uv.x, vel, readVel(field, uv + dy));
+            if (uv.y > 1.0 - texelSize.y)
+                vel = bcEdge(bcKind.w, bcProfile.w, bcSpeed.w, vec2(0.0, -1.0), uv.x, vel, readVel(field, uv - dy));
+            return vel;
+        }
+
+        // pressure at a neighbour uv that may lie past an edge: wrapped when periodic, zero
+        // past an outflow, the centre value (zero normal gradient) past anything else
+        float bcPressure(sampler2D p, vec2 uv, float centre) {
+            int kind = -1;
+            if (uv.x < 0.0) kind = bcKind.x;
+            else if (uv.x > 1.0) kind = bcKind.y;
+            else if (uv.y < 0.0) kind = bcKind.z;
+            else if (uv.y > 1.0) kind = bcKind.w;
+            if (kind == -1 || kind == 5) return readScalar(p, bcWrap(uv));
+            if (kind == 4) return 0.0;
+            return centre;
+        }
+    `;
+
+    // upload a normalized spec to a program's bc* uniforms; height is the field height in
+    // texels, converting inflow speeds to texels per second
+    function setUniforms(gl, uniforms, spec, height, dt) {
+        const edges = EDGES.map(edge => spec[edge]);
+        gl.uniform4i(uniforms.bcKind, ...edges.map(e => KINDS.indexOf(e.kind)));
+        gl.uniform4i(uniforms.bcProfile, ...edges.map(e => PROFILES.indexOf(e.profile)));
+        gl.uniform4f(uniforms.bcSpeed, ...edges.map(e => e.speed * height));
+        gl.uniform1f(uniforms.bcDt, dt);
+    }
+
+    return { EDGES, KINDS, PROFILES, LABELS, normalize, RAW_GLSL, GLSL, setUniforms };
+})();
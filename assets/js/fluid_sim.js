@@ -1,21 +1,39 @@
 // ============================================================================
 //  FLUIDSIM.JS — Minimal WebGL Navier–Stokes Solver (Dobryakov core)
 //  Patched for LANCA Lab: Auto-resize, working FBOs, no black screen.
+//  Lifecycle: init(container, opts) -> pause() / resume() -> dispose().
+//  Edge conditions come from fluid_boundaries.js (setBoundaries), open by default.
 // ============================================================================
 
 const FluidSim = (function () {
     let canvas, gl, active = false;
+    let ownsCanvas = false, quad = null, frame = null, resizeObserver = null;
+    let quality = 1;    // field resolution as a fraction of the canvas', see setQuality
 
     // ---------------------------------------
-    // Solver configuration (fixed)
+    // Solver configuration (init opts.config and setConfig override it)
     // ---------------------------------------
-    const config = {
+    const DEFAULTS = {
         DENSITY_DISSIPATION: 0.98,
         VELOCITY_DISSIPATION: 0.99,
         PRESSURE_ITERATIONS: 20,
         CURL: 30,
         SPLAT_RADIUS: 0.004
     };
+    const config = Object.assign({}, DEFAULTS);
+    let boundaries = FluidBoundaries.normalize();
+
+    // numeric keys of DEFAULTS only; read every frame, so changes apply immediately
+    function setConfig(partial) {
+        Object.keys(partial || {}).forEach(key => {
+            if (key in DEFAULTS && typeof partial[key] === "number") config[key] = partial[key];
+        });
+    }
+
+    // edges left out of spec keep their current condition
+    function setBoundaries(spec) {
+        boundaries = FluidBoundaries.normalize(spec, boundaries);
+    }
 
     const pointer = {
         down: false,
@@ -44,6 +62,17 @@ const FluidSim = (function () {
         return { texture: tex, fbo, w, h };
     }
 
+    function deleteFBO(target) {
+        if (!target) return;
+        if (target.read) {
+            deleteFBO(target.read);
+            deleteFBO(target.write);
+            return;
+        }
+        gl.deleteTexture(target.texture);
+        gl.deleteFramebuffer(target.fbo);
+    }
+
     function createDoubleFBO(w, h, internalFormat, format, type, filter) {
         let a = createFBO(w, h, internalFormat, format, type, filter);
         let b = createFBO(w, h, internalFormat, format, type, filter);
@@ -100,10 +129,15 @@ const FluidSim = (function () {
         uniform float dt;
         uniform float dissipation;
         uniform vec2 texelSize;
+        uniform bool isVelocity;
+        ${FluidBoundaries.RAW_GLSL}
+        ${FluidBoundaries.GLSL}
 
         void main(){
-            vec2 coord = vUv - dt * texture2D(uVelocity, vUv).xy * texelSize;
-            gl_FragColor = dissipation * texture2D(uSource, coord);
+            vec2 coord = bcWrap(vUv - dt * texture2D(uVelocity, vUv).xy * texelSize);
+            vec4 result = dissipation * texture2D(uSource, coord);
+            if (isVelocity) result.xy = bcVelocity(uSource, vUv, result.xy, texelSize);
+            gl_FragColor = result;
         }
     `;
 
@@ -112,12 +146,14 @@ const FluidSim = (function () {
         varying vec2 vUv;
         uniform sampler2D uVelocity;
         uniform vec2 texelSize;
+        ${FluidBoundaries.RAW_GLSL}
+        ${FluidBoundaries.GLSL}
 
         void main(){
-            float L = texture2D(uVelocity, vUv - vec2(texelSize.x,0.0)).x;
-            float R = texture2D(uVelocity, vUv + vec2(texelSize.x,0.0)).x;
-            float T = texture2D(uVelocity, vUv + vec2(0.0,texelSize.y)).y;
-            float B = texture2D(uVelocity, vUv - vec2(0.0,texelSize.y)).y;
+            float L = texture2D(uVelocity, bcWrap(vUv - vec2(texelSize.x,0.0))).x;
+            float R = texture2D(uVelocity, bcWrap(vUv + vec2(texelSize.x,0.0))).x;
+            float T = texture2D(uVelocity, bcWrap(vUv + vec2(0.0,texelSize.y))).y;
+            float B = texture2D(uVelocity, bcWrap(vUv - vec2(0.0,texelSize.y))).y;
             float div = 0.5 * (R - L + T - B);
             gl_FragColor = vec4(div,0.0,0.0,1.0);
         }
@@ -129,12 +165,15 @@ const FluidSim = (function () {
         uniform sampler2D uPressure;
         uniform sampler2D uDivergence;
         uniform vec2 texelSize;
+        ${FluidBoundaries.RAW_GLSL}
+        ${FluidBoundaries.GLSL}
 
         void main(){
-            float L = texture2D(uPressure, vUv - vec2(texelSize.x,0.0)).x;
-            float R = texture2D(uPressure, vUv + vec2(texelSize.x,0.0)).x;
-            float T = texture2D(uPressure, vUv + vec2(0.0,texelSize.y)).x;
-            float B = texture2D(uPressure, vUv - vec2(0.0,texelSize.y)).x;
+            float C = texture2D(uPressure, vUv).x;
+            float L = bcPressure(uPressure, vUv - vec2(texelSize.x,0.0), C);
+            float R = bcPressure(uPressure, vUv + vec2(texelSize.x,0.0), C);
+            float T = bcPressure(uPressure, vUv + vec2(0.0,texelSize.y), C);
+            float B = bcPressure(uPressure, vUv - vec2(0.0,texelSize.y), C);
             float div = texture2D(uDivergence, vUv).x;
             float p = (L + R + T + B - div) * 0.25;
             gl_FragColor = vec4(p,0.0,0.0,1.0);
@@ -147,15 +186,19 @@ const FluidSim = (function () {
         uniform sampler2D uPressure;
         uniform sampler2D uVelocity;
         uniform vec2 texelSize;
+        ${FluidBoundaries.RAW_GLSL}
+        ${FluidBoundaries.GLSL}
 
         void main(){
-            float L = texture2D(uPressure, vUv - vec2(texelSize.x,0.0)).x;
-            float R = texture2D(uPressure, vUv + vec2(texelSize.x,0.0)).x;
-            float T = texture2D(uPressure, vUv + vec2(0.0,texelSize.y)).x;
-            float B = texture2D(uPressure, vUv - vec2(0.0,texelSize.y)).x;
+            float C = texture2D(uPressure, vUv).x;
+            float L = bcPressure(uPressure, vUv - vec2(texelSize.x,0.0), C);
+            float R = bcPressure(uPressure, vUv + vec2(texelSize.x,0.0), C);
+            float T = bcPressure(uPressure, vUv + vec2(0.0,texelSize.y), C);
+            float B = bcPressure(uPressure, vUv - vec2(0.0,texelSize.y), C);
 
             vec2 vel = texture2D(uVelocity, vUv).xy;
             vel -= vec2(R - L, T - B);
+            vel = bcVelocity(uVelocity, vUv, vel, texelSize);
             gl_FragColor = vec4(vel,0.0,1.0);
         }
     `;
@@ -178,6 +221,8 @@ const FluidSim = (function () {
         gl.bindAttribLocation(program, 0, "aPosition");
 
         gl.linkProgram(program);
+        gl.deleteShader(vs);
+        gl.deleteShader(fs);
 
         const uniforms = {};
         const count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
@@ -191,8 +236,15 @@ const FluidSim = (function () {
     let velocity, density, pressure, divergence;
     let pDisplay, pSplat, pAdvect, pDiv, pPressure, pGradient;
 
-    function blit(fbo) {
-        gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+    // draw the quad into an FBO from createFBO, or the canvas for null
+    function blit(target) {
+        if (target) {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+            gl.viewport(0, 0, target.w, target.h);
+        } else {
+            gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+            gl.viewport(0, 0, canvas.width, canvas.height);
+        }
         gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
     }
 
@@ -200,8 +252,9 @@ const FluidSim = (function () {
     // Resize + rebuild textures
     // ---------------------------------------
     function rebuildTextures() {
-        const w = canvas.width;
-        const h = canvas.height;
+        const w = Math.max(1, Math.floor(canvas.width * quality));
+        const h = Math.max(1, Math.floor(canvas.height * quality));
+        [velocity, density, pressure, divergence].forEach(deleteFBO);
 
         // Use float-16 FBOs (requires EXT_color_buffer_float on some platforms).
         const type = gl.HALF_FLOAT;
@@ -212,27 +265,75 @@ const FluidSim = (function () {
         divergence = createFBO     (w, h, gl.R16F,     gl.RED,  type, gl.NEAREST);
     }
 
+    // ---------------------------------------
+    // Pointer + resize listeners (removed on dispose)
+    // ---------------------------------------
+    function onPointerDown() {
+        pointer.down = true;
+        pointer.color = [Math.random(), Math.random(), Math.random()];
+    }
+
+    function onPointerMove(e) {
+        pointer.dx = e.offsetX - pointer.x;
+        pointer.dy = e.offsetY - pointer.y;
+        pointer.x  = e.offsetX;
+        pointer.y  = e.offsetY;
+        pointer.moved = true;
+    }
+
+    function onPointerUp() {
+        pointer.down = false;
+    }
+
+    // Follow the canvas' layout size (the container's, when we created the canvas)
+    function onResize() {
+        if (!gl) return;
+        const w = canvas.clientWidth, h = canvas.clientHeight;
+        if (!w || !h || (w === canvas.width && h === canvas.height)) return;
+        canvas.width  = w;
+        canvas.height = h;
+        gl.viewport(0, 0, canvas.width, canvas.height);
+        rebuildTextures();
+    }
+
     // ---------------------------------------
     // Init
     // ---------------------------------------
-    function init(c) {
-        canvas = c;
+    // container: a canvas to draw into, or an element that gets a canvas filling it
+    // opts: { config: solver overrides, boundaries: a FluidBoundaries spec,
+    //         active: start simulating immediately (false) }
+    // Returns false when this browser cannot run the solver.
+    function init(container, opts = {}) {
+        if (gl) dispose();
+        if (container instanceof HTMLCanvasElement) {
+            canvas = container;
+        } else {
+            canvas = document.createElement("canvas");
+            canvas.style.display = "block";
+            canvas.style.width = "100%";
+            canvas.style.height = "100%";
+            container.appendChild(canvas);
+            ownsCanvas = true;
+        }
+        setConfig(opts.config);
+        if (opts.boundaries) setBoundaries(opts.boundaries);
+        active = !!opts.active;
 
         // Match actual display size
         canvas.width  = canvas.clientWidth;
         canvas.height = canvas.clientHeight;
 
+        // The RGBA16F fields below are only renderable with EXT_color_buffer_float; without it,
+        // clean up and report failure so the caller can fall back (see render_caps.js)
         gl = canvas.getContext("webgl2");
-        if (!gl) {
-            alert("WebGL2 not supported.");
-            return;
+        if (!gl || !gl.getExtension("EXT_color_buffer_float")) {
+            console.warn("FluidSim: WebGL2 with float render targets not supported");
+            dispose();
+            return false;
         }
 
-        // Optional but safer on some platforms
-        gl.getExtension("EXT_color_buffer_float");
-
         // Fullscreen quad
-        const quad = gl.createBuffer();
+        quad = gl.createBuffer();
         gl.bindBuffer(gl.ARRAY_BUFFER, quad);
         gl.bufferData(
             gl.ARRAY_BUFFER,
@@ -256,34 +357,66 @@ const FluidSim = (function () {
         rebuildTextures();
 
         // Pointer interactions
-        canvas.addEventListener("mousedown", e => {
-            pointer.down = true;
-            pointer.color = [Math.random(), Math.random(), Math.random()];
-        });
-
-        canvas.addEventListener("mousemove", e => {
-            pointer.dx = e.offsetX - pointer.x;
-            pointer.dy = e.offsetY - pointer.y;
-            pointer.x  = e.offsetX;
-            pointer.y  = e.offsetY;
-            pointer.moved = true;
-        });
-
-        window.addEventListener("mouseup", () => {
-            pointer.down = false;
-        });
+        canvas.addEventListener("mousedown", onPointerDown);
+        canvas.addEventListener("mousemove", onPointerMove);
+        window.addEventListener("mouseup", onPointerUp);
 
         // Resize handler
-        window.addEventListener("resize", () => {
-            canvas.width  = canvas.clientWidth;
-            canvas.height = canvas.clientHeight;
-            gl.viewport(0, 0, canvas.width, canvas.height);
-            rebuildTextures();
-        });
+        if (typeof ResizeObserver !== "undefined") {
+            resizeObserver = new ResizeObserver(onResize);
+            resizeObserver.observe(canvas);
+        } else {
+            window.addEventListener("resize", onResize);
+        }
 
         gl.viewport(0, 0, canvas.width, canvas.height);
 
-        animate();
+        resume();
+        return true;
+    }
+
+    // ---------------------------------------
+    // Pause / resume / dispose
+    // ---------------------------------------
+    function pause() {
+        if (frame === null) return;
+        cancelAnimationFrame(frame);
+        frame = null;
+    }
+
+    function resume() {
+        if (frame !== null || !gl) return;
+        lastT = performance.now();
+        frame = requestAnimationFrame(animate);
+    }
+
+    // Free every texture, framebuffer, program and buffer, and detach all listeners
+    function dispose() {
+        pause();
+        if (canvas) {
+            canvas.removeEventListener("mousedown", onPointerDown);
+            canvas.removeEventListener("mousemove", onPointerMove);
+        }
+        window.removeEventListener("mouseup", onPointerUp);
+        if (resizeObserver) resizeObserver.disconnect();
+        else window.removeEventListener("resize", onResize);
+        resizeObserver = null;
+
+        if (gl) {
+            [velocity, density, pressure, divergence].forEach(deleteFBO);
+            [pDisplay, pSplat, pAdvect, pDiv, pPressure, pGradient].forEach(p => p && gl.deleteProgram(p.program));
+            gl.deleteBuffer(quad);
+            if (ownsCanvas) {
+                const lose = gl.getExtension("WEBGL_lose_context");
+                if (lose) lose.loseContext();
+            }
+        }
+        if (ownsCanvas && canvas && canvas.parentNode) canvas.parentNode.removeChild(canvas);
+        velocity = density = pressure = divergence = null;
+        pDisplay = pSplat = pAdvect = pDiv = pPressure = pGradient = null;
+        canvas = gl = quad = null;
+        ownsCanvas = false;
+        active = false;
     }
 
     // ---------------------------------------
@@ -307,12 +440,12 @@ const FluidSim = (function () {
         gl.activeTexture(gl.TEXTURE0);
         gl.bindTexture(gl.TEXTURE_2D, velocity.read.texture);
         gl.uniform1i(pSplat.uniforms.uTarget, 0);
-        blit(velocity.write.fbo);
+        blit(velocity.write);
         velocity.swap();
 
         // Density splat
         gl.bindTexture(gl.TEXTURE_2D, density.read.texture);
-        blit(density.write.fbo);
+        blit(density.write);
         density.swap();
     }
 
@@ -320,19 +453,21 @@ const FluidSim = (function () {
     // Simulation step
     // ---------------------------------------
     function step(dt) {
-        const texel = [1 / canvas.width, 1 / canvas.height];
+        const texel = [1 / velocity.read.w, 1 / velocity.read.h];
 
         // --- Divergence ---
         gl.useProgram(pDiv.program);
         gl.uniform2fv(pDiv.uniforms.texelSize, texel);
+        FluidBoundaries.setUniforms(gl, pDiv.uniforms, boundaries, velocity.read.h, dt);
         gl.activeTexture(gl.TEXTURE0);
         gl.bindTexture(gl.TEXTURE_2D, velocity.read.texture);
         gl.uniform1i(pDiv.uniforms.uVelocity, 0);
-        blit(divergence.fbo);
+        blit(divergence);
 
         // --- Pressure solve ---
         gl.useProgram(pPressure.program);
         gl.uniform2fv(pPressure.uniforms.texelSize, texel);
+        FluidBoundaries.setUniforms(gl, pPressure.uniforms, boundaries, velocity.read.h, dt);
         gl.activeTexture(gl.TEXTURE1);
         gl.bindTexture(gl.TEXTURE_2D, divergence.texture);
         gl.uniform1i(pPressure.uniforms.uDivergence, 1);
@@ -341,13 +476,14 @@ const FluidSim = (function () {
             gl.activeTexture(gl.TEXTURE0);          // 🔧 was GL_TEXTURE0 (undefined)
             gl.bindTexture(gl.TEXTURE_2D, pressure.read.texture);
             gl.uniform1i(pPressure.uniforms.uPressure, 0);
-            blit(pressure.write.fbo);
+            blit(pressure.write);
             pressure.swap();
         }
 
         // --- Subtract gradient ---
         gl.useProgram(pGradient.program);
         gl.uniform2fv(pGradient.uniforms.texelSize, texel);
+        FluidBoundaries.setUniforms(gl, pGradient.uniforms, boundaries, velocity.read.h, dt);
 
         gl.activeTexture(gl.TEXTURE0);
         gl.bindTexture(gl.TEXTURE_2D, pressure.read.texture);
@@ -357,7 +493,7 @@ const FluidSim = (function () {
         gl.bindTexture(gl.TEXTURE_2D, velocity.read.texture);
         gl.uniform1i(pGradient.uniforms.uVelocity, 1);
 
-        blit(velocity.write.fbo);
+        blit(velocity.write);
         velocity.swap();
 
         // --- Advection (velocity) ---
@@ -365,6 +501,8 @@ const FluidSim = (function () {
         gl.uniform2fv(pAdvect.uniforms.texelSize, texel);
         gl.uniform1f(pAdvect.uniforms.dt, dt);
         gl.uniform1f(pAdvect.uniforms.dissipation, config.VELOCITY_DISSIPATION);
+        gl.uniform1i(pAdvect.uniforms.isVelocity, 1);
+        FluidBoundaries.setUniforms(gl, pAdvect.uniforms, boundaries, velocity.read.h, dt);
 
         gl.activeTexture(gl.TEXTURE0);
         gl.bindTexture(gl.TEXTURE_2D, velocity.read.texture);
@@ -374,13 +512,14 @@ const FluidSim = (function () {
         gl.bindTexture(gl.TEXTURE_2D, velocity.read.texture);
         gl.uniform1i(pAdvect.uniforms.uSource, 1);
 
-        blit(velocity.write.fbo);
+        blit(velocity.write);
         velocity.swap();
 
         // --- Advection (density) ---
         gl.uniform1f(pAdvect.uniforms.dissipation, config.DENSITY_DISSIPATION);
+        gl.uniform1i(pAdvect.uniforms.isVelocity, 0);
         gl.bindTexture(gl.TEXTURE_2D, density.read.texture);
-        blit(density.write.fbo);
+        blit(density.write);
         density.swap();
     }
 
@@ -400,7 +539,7 @@ const FluidSim = (function () {
     // ---------------------------------------
     let lastT = performance.now();
     function animate(t) {
-        requestAnimationFrame(animate);
+        frame = requestAnimationFrame(animate);
 
         if (!active) return;
 
@@ -418,8 +557,26 @@ const FluidSim = (function () {
     // Public API
     // ---------------------------------------
     return {
-        init(canvasEl) { init(canvasEl); },
+        init: (container, opts) => init(container, opts),
+        pause,
+        resume,
+        dispose,
+        isRunning: () => frame !== null,
         enable() { active = true; },
-        disable() { active = false; }
+        disable() { active = false; },
+        getConfig: () => Object.assign({}, config),
+        getDefaults: () => Object.assign({}, DEFAULTS),
+        setConfig,
+        getBoundaries: () => FluidBoundaries.normalize({}, boundaries),
+        setBoundaries,
+        // simulate at a fraction of the canvas resolution (0..1]; rebuilds the fields. Anything
+        // not a positive number is ignored
+        setQuality(scale) {
+            if (!(scale > 0) || !isFinite(scale)) return;
+            scale = Math.min(scale, 1);
+            if (scale === quality) return;
+            quality = scale;
+            if (gl) rebuildTextures();
+        }
     };
 })();
@@ -0,0 +1,161 @@
+// assets/js/kinematics.js
+// Prescribed pitch / plunge driver for the Airfoil Physics scene. Motion is
+// defined in convective time tau = t U / c, so the reduced frequency
+// k = omega c / (2U) means the same thing in the potential-flow and LDVM views.
+// Pitch angles in radians, plunge h in chords (positive up), pivot in x/c.
+// Lifecycle: init(sim, rate) -> play() / pause() start and stop its frame loop -> dispose().
+
+const KinematicsDriver = (function () {
+    const config = {
+        preset: 'pitch',
+        k: 0.1,                 // reduced frequency; pitch rate K = alpha_dot c / 2U for the ramp
+        amplitude: 0.1,         // rad (pitch, ramp) or h/c (plunge)
+        mean: 0.1,              // rad
+        pivot: 0.25,
+        hold: 3.0,              // ramp: hold time at the top, in c/U
+        custom: [[0, 0], [2, 0.26], [6, 0.26], [8, 0], [12, 0]]   // [tau, alpha] keyframes, periodic
+    };
+
+    const PRESETS = {
+        pitch: { k: 0.1, amplitude: 0.1, mean: 0.1, pivot: 0.25 },
+        plunge: { k: 0.5, amplitude: 0.2, mean: 0.05, pivot: 0.25 },
+        ramp: { k: 0.2, amplitude: 0.31, mean: 0, pivot: 0.25 },
+        custom: { mean: 0, pivot: 0.25 }
+    };
+
+    let sim, rate = () => 1;
+    let playing = false;
+    let tau = 0, lastFrame = null, frame = null;
+    const listeners = [];
+
+    // log(cosh x) without overflow
+    const logCosh = x => Math.abs(x) + Math.log1p(Math.exp(-2 * Math.abs(x))) - Math.LN2;
+
+    // Eldredge's smoothed ramp-hold-return, normalised to reach the full amplitude
+    function ramp(t) {
+        const A = config.amplitude, K = Math.max(config.k, 1e-3);
+        const t1 = 1, t2 = t1 + A / (2 * K), t3 = t2 + config.hold, t4 = t3 + A / (2 * K);
+        const s = 11;   // smoothing: larger is closer to the piecewise-linear ramp
+        const G = x => logCosh(s * (x - t1)) + logCosh(s * (x - t4)) - logCosh(s * (x - t2)) - logCosh(s * (x - t3));
+        const Gmax = G((t2 + t3) / 2);
+        const period = t4 + 4;
+        return Gmax > 0 ? A * G(t % period) / Gmax : 0;
+    }
+
+    function keyframes(t) {
+        const pts = config.custom;
+        if (pts.length < 2) return pts.length ? pts[0][1] : 0;
+        const period = pts[pts.length - 1][0];
+        t = period > 0 ? t % period : 0;
+        for (let i = 1; i < pts.length; i++) {
+            if (t <= pts[i][0]) {
+                const [t0, a0] = pts[i - 1], [t1, a1] = pts[i];
+                return t1 > t0 ? a0 + (a1 - a0) * (t - t0) / (t1 - t0) : a1;
+            }
+        }
+        return pts[pts.length - 1][1];
+    }
+
+    // state at convective time t: { alpha, h, alphaDot, hDot } with rates per unit tau
+    function evaluate(t) {
+        const w = 2 * config.k;
+        switch (config.preset) {
+            case 'plunge':
+                return {
+                    alpha: config.mean, alphaDot: 0,
+                    h: config.amplitude * Math.sin(w * t), hDot: config.amplitude * w * Math.cos(w * t)
+                };
+            case 'ramp':
+            case 'custom': {
+                const f = config.preset === 'ramp' ? ramp : keyframes;
+                const d = 1e-3;
+                return { alpha: config.mean + f(t), alphaDot: (f(t + d) - f(t - d)) / (2 * d), h: 0, hDot: 0 };
+            }
+            default:
+                return {
+                    alpha: config.mean + config.amplitude * Math.sin(w * t), alphaDot: config.amplitude * w * Math.cos(w * t),
+                    h: 0, hDot: 0
+                };
+        }
+    }
+
+    function apply() {
+        if (!sim) return;
+        const state = Object.assign(evaluate(tau), { pivot: config.pivot });
+        sim.setMotion(state);
+        listeners.forEach(cb => cb(Object.assign({ tau, playing }, state)));
+    }
+
+    function loop(now) {
+        frame = requestAnimationFrame(loop);
+        const elapsed = lastFrame === null ? 1 / 60 : Math.min((now - lastFrame) / 1000, 0.1);
+        lastFrame = now;
+        tau += elapsed * rate();
+        apply();
+    }
+
+    function stopLoop() {
+        if (frame === null) return;
+        cancelAnimationFrame(frame);
+        frame = null;
+    }
+
+    const api = {
+        // rateFn: convective time per wall-clock second for the view being driven
+        init(target, rateFn) {
+            if (sim) api.dispose();
+            sim = target;
+            if (rateFn) rate = rateFn;
+            return api;
+        },
+        play() {
+            playing = true;
+            apply();
+            if (frame === null) {
+                lastFrame = null;
+                frame = requestAnimationFrame(loop);
+            }
+        },
+        // hold the current pose; rates drop to zero so the lift settles
+        pause() {
+            playing = false;
+            stopLoop();
+            if (!sim) return;
+            const state = evaluate(tau);
+            sim.setMotion({ alpha: state.alpha, h: state.h, alphaDot: 0, hDot: 0, pivot: config.pivot });
+            listeners.forEach(cb => cb(Object.assign({ tau, playing }, state, { alphaDot: 0, hDot: 0 })));
+        },
+        toggle() { playing ? api.pause() : api.play(); },
+        isPlaying: () => playing,
+        // stop driving and let go of the simulation; the motion settings are kept for the next init
+        dispose() {
+            playing = false;
+            stopLoop();
+            sim = null;
+            tau = 0;
+        },
+        restart() {
+            tau = 0;
+            playing ? apply() : api.pause();
+        },
+        setPreset(name) {
+            if (!PRESETS[name]) return;
+            config.preset = name;
+            Object.assign(config, PRESETS[name]);
+            api.restart();
+        },
+        configure(opts) {
+            ['k', 'amplitude', 'mean', 'pivot', 'hold'].forEach(key => {
+                if (typeof opts[key] === 'number' && isFinite(opts[key])) config[key] = opts[key];
+            });
+            if (Array.isArray(opts.custom)) {
+                config.custom = opts.custom.filter(p => isFinite(p[0]) && isFinite(p[1])).sort((p, q) => p[0] - q[0]);
+            }
+            if (playing) apply();
+        },
+        getConfig: () => Object.assign({}, config, { custom: config.custom.map(p => p.slice()) }),
+        onTick(cb) { listeners.push(cb); }
+    };
+
+    return api;
+})();
@@ -0,0 +1,330 @@
+// assets/js/ldvm_sim.js
+// LESP-modulated discrete-vortex method (LDVM) for the pitching airfoil in the
+// Airfoil Physics scene. Thin-airfoil bound vorticity, a TEV shed every step and
+// LEVs whenever |LESP| (= A0) exceeds the critical value.
+// Steps of DT run on wall-clock time at RATE convective times per second, at most MAX_SUBSTEPS
+// a frame, and same-sign neighbours past MERGE_X are merged to keep the N^2 induction cheap.
+// Lifecycle: init(airfoilSim) -> enable() starts stepping from rest -> pause() / resume() ->
+// dispose(). The wake is a layer of the Airfoil Physics scene (AirfoilSim.addLayer), rebuilt
+// whenever that scene is.
+
+const LDVMSim = (function () {
+    // Solver units: chord = 1, freestream U = 1, scene units = chords
+    const config = {
+        DT: 0.025,              // convective time per step
+        RATE: 1.5,              // convective time per wall-clock second
+        MAX_SUBSTEPS: 4,        // per frame; a slower display runs slower rather than stalling
+        LESP_CRIT: 0.18,
+        PLATE_POINTS: 70,
+        FOURIER_TERMS: 4,
+        MAX_VORTICES: 2000,
+        WAKE_LENGTH: 9.0,
+        MERGE_X: 3.0,           // chords downstream of the pivot where wake vortices may merge
+        MERGE_RADIUS: 0.1       // and the largest separation that merges
+    };
+    const U = 1.0, CHORD = 1.0;
+    const CORE = 1.3 * U * config.DT;   // Vatistas core radius
+
+    let airfoilSim = null, points = null;
+    let active = false;
+    let frame = null, lastFrame = null;
+    let pending = 0;                    // convective time not yet stepped
+    let vortices = [];                  // { x, y, gamma, lev }
+    let shedGamma = 0;                  // includes vortices dropped off the end of the wake
+    let lastTev = null, lastLev = null;
+    let alphaPrev = null;
+    let pivot = [0, 0];                 // scene position of the frame origin
+    let coeffs = new Array(config.FOURIER_TERMS).fill(0);
+    let gammaBound = 0;
+    const listeners = [];
+
+    // plate stations at mid-panel angles, x = c/2 (1 - cos theta)
+    const theta = [], xi = [];
+    for (let i = 0; i < config.PLATE_POINTS; i++) {
+        const th = (i + 0.5) * Math.PI / config.PLATE_POINTS;
+        theta.push(th);
+        xi.push(-0.5 * CHORD * Math.cos(th));   // measured from the mid-chord pivot
+    }
+
+    // clockwise-positive vortex with a Vatistas (n = 2) core
+    function induced(px, py, vx, vy, gamma) {
+        const dx = px - vx, dy = py - vy;
+        const r2 = dx * dx + dy * dy;
+        const k = gamma / (2 * Math.PI * Math.sqrt(r2 * r2 + CORE ** 4));
+        return [k * dy, -k * dx];
+    }
+
+    // Fourier coefficients of the bound vorticity for a given normal-velocity distribution
+    function fourier(W) {
+        const A = new Array(config.FOURIER_TERMS).fill(0);
+        const M = config.PLATE_POINTS;
+        for (let i = 0; i < M; i++) {
+            A[0] -= W[i] / (U * M);
+            for (let n = 1; n < config.FOURIER_TERMS; n++) {
+                A[n] += 2 * W[i] * Math.cos(n * theta[i]) / (U * M);
+            }
+        }
+        return A;
+    }
+
+    const boundOf = A => U * CHORD * Math.PI * (A[0] + A[1] / 2);
+
+    function plateNormalWash(t, n, sp, vx, vy, gamma) {
+        return xi.map(s => {
+            const v = induced((s - sp) * t[0], (s - sp) * t[1], vx, vy, gamma);
+            return -(v[0] * n[0] + v[1] * n[1]);
+        });
+    }
+
+    function step(alpha) {
+        const alphaDot = alphaPrev === null ? 0 : (alpha - alphaPrev) / config.DT;
+        alphaPrev = alpha;
+
+        // frame origin at the pivot, translating with the plunge
+        const motion = airfoilSim.getMotion();
+        const sp = (motion.pivot - 0.5) * CHORD;
+        const hDot = motion.hDot * U;
+        pivot = [sp, motion.h * CHORD];
+
+        const ca = Math.cos(alpha), sa = Math.sin(alpha);
+        const t = [ca, -sa], n = [sa, ca];
+        const camber = airfoilSim.getGeometry().camber;
+        const te = [(0.5 * CHORD - sp) * t[0], (0.5 * CHORD - sp) * t[1]];
+        const le = [(-0.5 * CHORD - sp) * t[0], (-0.5 * CHORD - sp) * t[1]];
+
+        // kinematic + camber + wake downwash on the plate
+        const W = xi.map((s, i) => {
+            const x = s + 0.5 * CHORD;
+            const slope = 4 * camber * (1 - 2 * x / CHORD);
+            let w = slope * U * ca - U * sa + hDot * ca - alphaDot * (s - sp);
+            const px = (s - sp) * t[0], py = (s - sp) * t[1];
+            for (const v of vortices) {
+                const u = induced(px, py, v.x, v.y, v.gamma);
+                w -= u[0] * n[0] + u[1] * n[1];
+            }
+            return w;
+        });
+
+        // new TEV one third of the way to the previous one (or half a step downstream)
+        const tev = lastTev
+            ? [te[0] + (lastTev.x - te[0]) / 3, te[1] + (lastTev.y - te[1]) / 3]
+            : [te[0] + 0.5 * U * config.DT, te[1]];
+
+        const A = fourier(W);
+        const At = fourier(plateNormalWash(t, n, sp, tev[0], tev[1], 1));
+        const Gb = boundOf(A), Gt = boundOf(At);
+
+        // Kelvin: bound + shed = 0, linear in the new vortex strengths
+        let gTev = -(Gb + shedGamma) / (1 + Gt);
+        let gLev = 0, lev = null;
+        const lesp = A[0] + gTev * At[0];
+
+        if (Math.abs(lesp) > config.LESP_CRIT) {
+            const sign = Math.sign(lesp);
+            lev = lastLev
+                ? [le[0] + (lastLev.x - le[0]) / 3, le[1] + (lastLev.y - le[1]) / 3]
+                : [le[0] + 0.5 * U * config.DT * sign * n[0], le[1] + 0.5 * U * config.DT * sign * n[1]];
+            const Al = fourier(plateNormalWash(t, n, sp, lev[0], lev[1], 1));
+            const Gl = boundOf(Al);
+
+            // [1+Gt 1+Gl; At0 Al0] [gTev; gLev] = [-(Gb+shed); sign*crit - A0]
+            const r1 = -(Gb + shedGamma), r2 = sign * config.LESP_CRIT - A[0];
+            const det = (1 + Gt) * Al[0] - (1 + Gl) * At[0];
+            gTev = (r1 * Al[0] - (1 + Gl) * r2) / det;
+            gLev = ((1 + Gt) * r2 - At[0] * r1) / det;
+            coeffs = A.map((a, k) => a + gTev * At[k] + gLev * Al[k]);
+        } else {
+            coeffs = A.map((a, k) => a + gTev * At[k]);
+        }
+        gammaBound = boundOf(coeffs);
+
+        lastTev = { x: tev[0], y: tev[1], gamma: gTev, lev: false };
+        vortices.push(lastTev);
+        shedGamma += gTev;
+        if (lev) {
+            lastLev = { x: lev[0], y: lev[1], gamma: gLev, lev: true };
+            vortices.push(lastLev);
+            shedGamma += gLev;
+        } else {
+            lastLev = null;
+        }
+
+        // lumped bound vortices along the plate
+        const M = config.PLATE_POINTS;
+        const bound = theta.map((th, i) => {
+            let g = coeffs[0] * (1 + Math.cos(th));
+            for (let k = 1; k < config.FOURIER_TERMS; k++) g += coeffs[k] * Math.sin(k * th) * Math.sin(th);
+            return { x: (xi[i] - sp) * t[0], y: (xi[i] - sp) * t[1], gamma: 2 * U * g * 0.5 * CHORD * Math.PI / M };
+        });
+
+        // forward-Euler advection by the relative freestream + Biot–Savart from all vortices
+        const vel = vortices.map(p => {
+            let u = U, v = -hDot;
+            for (const q of vortices) {
+                if (q === p) continue;
+                const d = induced(p.x, p.y, q.x, q.y, q.gamma);
+                u += d[0]; v += d[1];
+            }
+            for (const q of bound) {
+                const d = induced(p.x, p.y, q.x, q.y, q.gamma);
+                u += d[0]; v += d[1];
+            }
+            return [u, v];
+        });
+        vortices.forEach((p, i) => {
+            p.x += vel[i][0] * config.DT;
+            p.y += vel[i][1] * config.DT;
+        });
+
+        vortices = merge(vortices.filter(p => p.x < config.WAKE_LENGTH));
+        if (vortices.length > config.MAX_VORTICES) vortices.splice(0, vortices.length - config.MAX_VORTICES);
+        if (lastTev && !vortices.includes(lastTev)) lastTev = null;
+        if (lastLev && !vortices.includes(lastLev)) lastLev = null;
+    }
+
+    // amalgamate consecutive far-wake vortices of one kind and sign at their centroid; the total
+    // circulation is unchanged
+    function merge(list) {
+        const out = [];
+        for (let i = 0; i < list.length; i++) {
+            const p = list[i], q = list[i + 1];
+            if (q && p.x > config.MERGE_X && q.x > config.MERGE_X && p.lev === q.lev
+                && Math.sign(p.gamma) === Math.sign(q.gamma)
+                && Math.hypot(p.x - q.x, p.y - q.y) < config.MERGE_RADIUS) {
+                const wp = Math.abs(p.gamma), wq = Math.abs(q.gamma), w = wp + wq || 1;
+                out.push({ x: (p.x * wp + q.x * wq) / w, y: (p.y * wp + q.y * wq) / w, gamma: p.gamma + q.gamma, lev: p.lev });
+                i++;
+            } else {
+                out.push(p);
+            }
+        }
+        return out;
+    }
+
+    function draw() {
+        const pos = points.geometry.attributes.position.array;
+        const col = points.geometry.attributes.color.array;
+        vortices.forEach((p, i) => {
+            pos[i * 3] = p.x; pos[i * 3 + 1] = p.y; pos[i * 3 + 2] = 0;
+            const c = p.lev ? [1.0, 1.0, 1.0] : (p.gamma > 0 ? [1.0, 0.78, 0.15] : [0.79, 0.31, 0.45]);
+            col[i * 3] = c[0]; col[i * 3 + 1] = c[1]; col[i * 3 + 2] = c[2];
+        });
+        points.position.set(pivot[0], pivot[1], 0);
+        points.geometry.setDrawRange(0, vortices.length);
+        points.geometry.attributes.position.needsUpdate = true;
+        points.geometry.attributes.color.needsUpdate = true;
+    }
+
+    // the pitch set since the last frame is spread over its substeps so alphaDot stays smooth
+    function loop(now) {
+        frame = requestAnimationFrame(loop);
+        const elapsed = lastFrame === null ? 0 : Math.min((now - lastFrame) / 1000, 0.1);
+        lastFrame = now;
+        if (!active || !points) return;
+        pending += elapsed * config.RATE;
+        const n = Math.min(Math.floor(pending / config.DT), config.MAX_SUBSTEPS);
+        pending = Math.min(pending - n * config.DT, config.DT);
+        if (!n) return;
+        const alpha = -airfoilSim.getAirfoil().rotation.z;
+        const from = alphaPrev === null ? alpha : alphaPrev;
+        for (let i = 1; i <= n; i++) step(from + (alpha - from) * i / n);
+        draw();
+        listeners.forEach(cb => cb(api.getState()));
+    }
+
+    function reset() {
+        vortices = [];
+        shedGamma = 0;
+        lastTev = lastLev = null;
+        alphaPrev = null;
+        pending = 0;
+        coeffs = new Array(config.FOURIER_TERMS).fill(0);
+        gammaBound = 0;
+        if (points) draw();
+    }
+
+    // the wake's points in the airfoil scene, created on attach and freed on detach
+    const layer = {
+        attach(scene) {
+            const geo = new THREE.BufferGeometry();
+            geo.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(config.MAX_VORTICES * 3), 3));
+            geo.setAttribute('color', new THREE.Float32BufferAttribute(new Float32Array(config.MAX_VORTICES * 3), 3));
+            geo.setDrawRange(0, 0);
+            points = new THREE.Points(
+                geo,
+                new THREE.PointsMaterial({ size: 0.06, vertexColors: true, transparent: true, opacity: 0.9 })
+            );
+            points.visible = active;
+            scene.add(points);
+            draw();
+        },
+        detach() {
+            if (!points) return;
+            if (points.parent) points.parent.remove(points);
+            points.geometry.dispose();
+            points.material.dispose();
+            points = null;
+        }
+    };
+
+    // stop / restart stepping without the reset that enable() does
+    function pause() {
+        if (frame === null) return;
+        cancelAnimationFrame(frame);
+        frame = null;
+    }
+
+    function resume() {
+        if (frame !== null || !airfoilSim) return;
+        lastFrame = null;
+        frame = requestAnimationFrame(loop);
+    }
+
+    // stop stepping and take the wake out of the airfoil scene; init can run again
+    function dispose() {
+        pause();
+        active = false;
+        if (airfoilSim) airfoilSim.removeLayer(layer);
+        airfoilSim = null;
+        reset();
+    }
+
+    const api = {
+        init(sim) {
+            if (airfoilSim) dispose();
+            airfoilSim = sim;
+            sim.addLayer(layer);
+            return api;
+        },
+        enable() {
+            reset();
+            active = true;
+            if (points) points.visible = true;
+            resume();
+        },
+        disable() {
+            active = false;
+            if (points) points.visible = false;
+        },
+        pause,
+        resume,
+        dispose,
+        isRunning: () => frame !== null,
+        reset,
+        setLespCrit(v) { config.LESP_CRIT = v; },
+        // convective time c/U advanced per wall-clock second
+        getConvectiveRate: () => config.RATE,
+        onStep(cb) { listeners.push(cb); },
+        getState() {
+            return {
+                lesp: coeffs[0],
+                lespCrit: config.LESP_CRIT,
+                gammaBound,
+                tev: vortices.filter(p => !p.lev).length,
+                lev: vortices.filter(p => p.lev).length
+            };
+        }
+    };
+
+    return api;
+})();
@@ -0,0 +1,273 @@
+// assets/js/panel_method.js
+// Section import (Selig / Lednicer .dat, NACA 4- and 5-digit) and a linear-strength
+// vortex panel solver (Kuethe & Chow) for the Airfoil Physics scene. Sections are
+// in chord units with the leading edge at x = 0; velocities are per unit V_inf.
+// velocity() takes the same flow description as PotentialFlow plus
+//   { panels, nodeGamma, shift }
+// where body-frame x = panel x - shift.
+
+const PanelMethod = (function () {
+    // --- section sources ---
+
+    // Selig: name line, then x y from the TE over the upper surface to the LE and back.
+    // Lednicer: name line, "nUpper nLower", then upper and lower surfaces, each LE -> TE.
+    function parseDat(text) {
+        const lines = text.split(/\r?\n/).map(l => l.trim());
+        const name = lines.shift() || 'Imported section';
+        const rows = lines.filter(l => l.length)
+            .map(l => l.split(/[\s,]+/).map(Number))
+            .filter(r => r.length >= 2 && isFinite(r[0]) && isFinite(r[1]))
+            .map(r => [r[0], r[1]]);
+        if (rows.length < 3) throw new Error('No coordinate pairs found in the .dat file.');
+
+        let points;
+        if (rows[0][0] > 1.5 && rows[0][1] > 1.5) {
+            const nu = Math.round(rows[0][0]), nl = Math.round(rows[0][1]);
+            if (rows.length < 1 + nu + nl) throw new Error('Lednicer header promises more points than the file holds.');
+            const upper = rows.slice(1, 1 + nu), lower = rows.slice(1 + nu, 1 + nu + nl);
+            points = upper.reverse().concat(lower.slice(1));
+        } else {
+            points = rows;
+        }
+        return { name, points: normalise(points) };
+    }
+
+    // translate and scale so the leading edge (min x) sits at 0 and the chord is 1
+    function normalise(points) {
+        const xs = points.map(p => p[0]);
+        const xmin = Math.min(...xs), c = Math.max(...xs) - xmin;
+        if (!(c > 0)) throw new Error('Section has zero chord.');
+        const ymin = points[xs.indexOf(xmin)][1];
+        const out = points.map(p => [(p[0] - xmin) / c, (p[1] - ymin) / c]);
+        // drop repeated points, they make zero-length panels
+        return out.filter((p, i) => i === 0 || Math.hypot(p[0] - out[i - 1][0], p[1] - out[i - 1][1]) > 1e-7);
+    }
+
+    // NACA thickness with the closed trailing-edge coefficient
+    const thickness = (t, x) => 5 * t * (0.2969 * Math.sqrt(x) - 0.1260 * x - 0.3516 * x * x + 0.2843 * x ** 3 - 0.1036 * x ** 4);
+
+    // non-reflexed and reflexed 5-digit mean lines, keyed by the 2nd and 3rd digits
+    const FIVE_DIGIT = {
+        '10': { m: 0.0580, k1: 361.4 }, '20': { m: 0.1260, k1: 51.64 }, '30': { m: 0.2025, k1: 15.957 },
+        '40': { m: 0.2900, k1: 6.643 }, '50': { m: 0.3910, k1: 3.230 },
+        '21': { m: 0.1300, k1: 51.99, k21: 0.000764 }, '31': { m: 0.2170, k1: 15.793, k21: 0.00677 },
+        '41': { m: 0.3180, k1: 6.520, k21: 0.0303 }, '51': { m: 0.4410, k1: 3.191, k21: 0.1355 }
+    };
+
+    function camberLine(code) {
+        if (code.length === 4) {
+            const m = +code[0] / 100, p = +code[1] / 10;
+            if (m === 0 || p === 0) return () => [0, 0];
+            return x => x < p
+                ? [m / (p * p) * (2 * p * x - x * x), 2 * m / (p * p) * (p - x)]
+                : [m / ((1 - p) ** 2) * (1 - 2 * p + 2 * p * x - x * x), 2 * m / ((1 - p) ** 2) * (p - x)];
+        }
+        const series = FIVE_DIGIT[code.slice(1, 3)];
+        if (!series) throw new Error('Unsupported NACA 5-digit mean line ' + code.slice(0, 3) + '.');
+        const scale = (+code[0] * 0.15) / 0.3;
+        const { m, k1, k21 } = series;
+        if (!k21) {
+            return x => x < m
+                ? [scale * k1 / 6 * (x ** 3 - 3 * m * x * x + m * m * (3 - m) * x), scale * k1 / 6 * (3 * x * x - 6 * m * x + m * m * (3 - m))]
+                : [scale * k1 / 6 * m ** 3 * (1 - x), -scale * k1 / 6 * m ** 3];
+        }
+        return x => x < m
+            ? [scale * k1 / 6 * ((x - m) ** 3 - k21 * (1 - m) ** 3 * x - m ** 3 * x + m ** 3),
+                scale * k1 / 6 * (3 * (x - m) ** 2 - k21 * (1 - m) ** 3 - m ** 3)]
+            : [scale * k1 / 6 * (k21 * (x - m) ** 3 - k21 * (1 - m) ** 3 * x - m ** 3 * x + m ** 3),
+                scale * k1 / 6 * (3 * k21 * (x - m) ** 2 - k21 * (1 - m) ** 3 - m ** 3)];
+    }
+
+    // Selig-ordered NACA section with cosine spacing, n points per surface
+    function naca(code, n = 60) {
+        code = String(code).trim();
+        if (!/^\d{4}$|^\d{5}$/.test(code)) throw new Error('NACA designation must be 4 or 5 digits.');
+        const t = +code.slice(-2) / 100;
+        if (t <= 0) throw new Error('NACA section needs a non-zero thickness.');
+        const mean = camberLine(code);
+        const upper = [], lower = [];
+        for (let i = 0; i <= n; i++) {
+            const x = 0.5 * (1 - Math.cos(Math.PI * i / n));
+            const [yc, dyc] = mean(x);
+            const yt = thickness(t, x), th = Math.atan(dyc);
+            upper.push([x - yt * Math.sin(th), yc + yt * Math.cos(th)]);
+            lower.push([x + yt * Math.sin(th), yc - yt * Math.cos(th)]);
+        }
+        return { name: 'NACA ' + code, points: normalise(upper.reverse().concat(lower.slice(1))) };
+    }
+
+    // --- solver ---
+
+    // geometric terms of panel j seen from (x, y); independent of the velocity direction
+    function panelTerms(P, j, x, y) {
+        const dx = x - P.X[j], dy = y - P.Y[j], tj = P.theta[j], S = P.S[j];
+        const A = -dx * Math.cos(tj) - dy * Math.sin(tj);
+        const B = Math.max(dx * dx + dy * dy, 1e-12);
+        const E = dx * Math.sin(tj) - dy * Math.cos(tj);
+        return {
+            dx, dy, tj, S, A, E,
+            F: Math.log(Math.max(1 + S * (S + 2 * A) / B, 1e-12)),
+            G: Math.atan2(E * S, B + A * S)
+        };
+    }
+
+    // influence of panel j's two nodal strengths on the velocity along direction ti
+    function influence(P, j, x, y, ti, terms = panelTerms(P, j, x, y)) {
+        const { dx, dy, tj, S, A, E, F, G } = terms;
+        const C = Math.sin(ti - tj), D = Math.cos(ti - tj);
+        const Pn = dx * Math.sin(ti - 2 * tj) + dy * Math.cos(ti - 2 * tj);
+        const Q = dx * Math.cos(ti - 2 * tj) - dy * Math.sin(ti - 2 * tj);
+        const n2 = D + 0.5 * Q * F / S - (A * C + D * E) * G / S;
+        const t2 = C + 0.5 * Pn * F / S + (A * D - C * E) * G / S;
+        return { n1: 0.5 * D * F + C * G - n2, n2, t1: 0.5 * C * F - D * G - t2, t2 };
+    }
+
+    function gauss(M, rhs) {
+        const n = rhs.length;
+        const A = M.map((row, i) => row.concat([rhs[i]]));
+        for (let k = 0; k < n; k++) {
+            let p = k;
+            for (let i = k + 1; i < n; i++) if (Math.abs(A[i][k]) > Math.abs(A[p][k])) p = i;
+            [A[k], A[p]] = [A[p], A[k]];
+            for (let i = k + 1; i < n; i++) {
+                const f = A[i][k] / A[k][k];
+                for (let j = k; j <= n; j++) A[i][j] -= f * A[k][j];
+            }
+        }
+        const x = new Array(n).fill(0);
+        for (let i = n - 1; i >= 0; i--) {
+            let s = A[i][n];
+            for (let j = i + 1; j < n; j++) s -= A[i][j] * x[j];
+            x[i] = s / A[i][i];
+        }
+        return x;
+    }
+
+    // Panels run clockwise (TE -> lower -> LE -> upper -> TE). The solution is stored for
+    // alpha = 0 and alpha = 90 deg and superposed, since everything is linear in the freestream.
+    function solve(points) {
+        let pts = points.slice();
+        let area = 0;
+        for (let i = 0; i < pts.length - 1; i++) area += pts[i][0] * pts[i + 1][1] - pts[i + 1][0] * pts[i][1];
+        if (area > 0) pts.reverse();
+
+        const N = pts.length - 1;
+        const P = { X: pts.map(p => p[0]), Y: pts.map(p => p[1]), theta: [], S: [], xc: [], yc: [], N };
+        for (let j = 0; j < N; j++) {
+            const dx = P.X[j + 1] - P.X[j], dy = P.Y[j + 1] - P.Y[j];
+            P.theta.push(Math.atan2(dy, dx));
+            P.S.push(Math.hypot(dx, dy));
+            P.xc.push(P.X[j] + dx / 2);
+            P.yc.push(P.Y[j] + dy / 2);
+        }
+        // field evaluation: panel trig, and a circle beyond which panels are lumped into point vortices
+        P.cos = P.theta.map(Math.cos); P.sin = P.theta.map(Math.sin);
+        P.cos2 = P.theta.map(t => Math.cos(2 * t)); P.sin2 = P.theta.map(t => Math.sin(2 * t));
+        const xs = P.X, ys = P.Y;
+        P.cx = (Math.min(...xs) + Math.max(...xs)) / 2;
+        P.cy = (Math.min(...ys) + Math.max(...ys)) / 2;
+        P.farR2 = (Math.max(...xs) - Math.min(...xs)) ** 2;
+
+        const AN = [], AT = [];
+        for (let i = 0; i < N; i++) {
+            const an = new Array(N + 1).fill(0), at = new Array(N + 1).fill(0);
+            for (let j = 0; j < N; j++) {
+                const k = i === j
+                    ? { n1: -1, n2: 1, t1: Math.PI / 2, t2: Math.PI / 2 }
+                    : influence(P, j, P.xc[i], P.yc[i], P.theta[i]);
+                an[j] += k.n1; an[j + 1] += k.n2;
+                at[j] += k.t1; at[j + 1] += k.t2;
+            }
+            AN.push(an); AT.push(at);
+        }
+        // Kutta: equal and opposite nodal strengths at the trailing edge
+        const kutta = new Array(N + 1).fill(0);
+        kutta[0] = kutta[N] = 1;
+        AN.push(kutta);
+
+        const basis = [0, Math.PI / 2].map(ang => {
+            const g = gauss(AN, P.theta.map(t => Math.sin(t - ang)).concat([0]));
+            const vt = AT.map((row, i) => Math.cos(P.theta[i] - ang) + row.reduce((s, v, j) => s + v * g[j], 0));
+            return { g, vt };
+        });
+        return { panels: P, basis };
+    }
+
+    // nodal gamma' (gamma / 2 pi V) at angle of attack alpha
+    function nodeGamma(sol, alpha) {
+        const [b0, b90] = sol.basis;
+        return b0.g.map((g, i) => g * Math.cos(alpha) + b90.g[i] * Math.sin(alpha));
+    }
+
+    // circulation per unit V_inf and chord (clockwise positive, so CL = 2 Gamma)
+    function circulation(sol, alpha) {
+        const g = nodeGamma(sol, alpha), P = sol.panels;
+        let sum = 0;
+        for (let j = 0; j < P.N; j++) sum += P.S[j] * (g[j] + g[j + 1]) / 2;
+        return 2 * Math.PI * sum;
+    }
+
+    // surface speed at collocation points, signed along the panel direction
+    function surfaceSpeed(sol, alpha) {
+        const [b0, b90] = sol.basis;
+        return b0.vt.map((v, i) => v * Math.cos(alpha) + b90.vt[i] * Math.sin(alpha));
+    }
+
+    function inside(P, x, y) {
+        let hit = false;
+        for (let i = 0, j = P.N; i <= P.N; j = i++) {
+            if ((P.Y[i] > y) !== (P.Y[j] > y) && x < (P.X[j] - P.X[i]) * (y - P.Y[i]) / (P.Y[j] - P.Y[i]) + P.X[i]) hit = !hit;
+        }
+        return hit;
+    }
+
+    function toPanelFrame(f, px, py) {
+        const c = Math.cos(f.alpha), s = Math.sin(f.alpha);
+        px -= f.x0 || 0; py -= f.y0 || 0;
+        return { x: px * c - py * s + f.shift, y: px * s + py * c, c, s };
+    }
+
+    function insideBody(f, px, py) {
+        const p = toPanelFrame(f, px, py);
+        return inside(f.panels, p.x, p.y);
+    }
+
+    // tangential-influence pair (t1, t2) for direction cosines C = sin(ti - tj), D = cos(ti - tj)
+    function tangential(C, D, Pn, A, E, F, G, S, g1, g2) {
+        const t2 = C + 0.5 * Pn * F / S + (A * D - C * E) * G / S;
+        return (0.5 * C * F - D * G - t2) * g1 + t2 * g2;
+    }
+
+    // world velocity from the freestream plus every panel; zero inside the section.
+    // More than a chord from the section, each panel acts as a point vortex at its midpoint.
+    function velocity(f, px, py) {
+        const P = f.panels, g = f.nodeGamma;
+        const { x, y, c, s } = toPanelFrame(f, px, py);
+        const far = (x - P.cx) ** 2 + (y - P.cy) ** 2 > P.farR2;
+        if (!far && inside(P, x, y)) return { u: 0, v: 0 };
+        let u = Math.cos(f.alpha), v = Math.sin(f.alpha);
+        for (let j = 0; j < P.N; j++) {
+            if (far) {
+                const dx = x - P.xc[j], dy = y - P.yc[j];
+                const k = P.S[j] * (g[j] + g[j + 1]) / 2 / (dx * dx + dy * dy);
+                u += k * dy;
+                v -= k * dx;
+                continue;
+            }
+            const dx = x - P.X[j], dy = y - P.Y[j], S = P.S[j];
+            const ct = P.cos[j], st = P.sin[j], c2 = P.cos2[j], s2 = P.sin2[j];
+            const A = -dx * ct - dy * st;
+            const B = Math.max(dx * dx + dy * dy, 1e-12);
+            const E = dx * st - dy * ct;
+            const F = Math.log(Math.max(1 + S * (S + 2 * A) / B, 1e-12));
+            const G = Math.atan2(E * S, B + A * S);
+            // ti = 0 gives u, ti = pi/2 gives v
+            u += tangential(-st, ct, -dx * s2 + dy * c2, A, E, F, G, S, g[j], g[j + 1]);
+            v += tangential(ct, st, dx * c2 + dy * s2, A, E, F, G, S, g[j], g[j + 1]);
+        }
+        u *= f.V; v *= f.V;
+        return { u: u * c + v * s, v: -u * s + v * c };
+    }
+
+    return { parseDat, naca, solve, nodeGamma, circulation, surfaceSpeed, insideBody, velocity };
+})();
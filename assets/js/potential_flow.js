@@ -0,0 +1,137 @@
+// assets/js/potential_flow.js
+// Joukowski potential-flow kernel shared by the Airfoil Physics scene and its
+// particle worker. Pure functions of a flow description:
+//   { a, b, mu_x, mu_y, V, gamma, alpha, x0, y0 }
+// with the mesh drawn rotated by -alpha and shifted by (x0, y0):
+// body frame z = e^{i alpha} * (world - z0).
+
+const PotentialFlow = (function () {
+    // world point -> circle plane, keeping the root outside the mapping circle
+    function toCircle(f, px, py) {
+        const c = Math.cos(f.alpha), s = Math.sin(f.alpha);
+        px -= f.x0 || 0; py -= f.y0 || 0;
+        const zx = px * c - py * s, zy = px * s + py * c;
+
+        const hx = zx / 2, hy = zy / 2;
+        const sx = (hx * hx - hy * hy) - f.b * f.b, sy = 2 * hx * hy;
+        const r = Math.sqrt(Math.sqrt(sx * sx + sy * sy));
+        const phi = Math.atan2(sy, sx) / 2;
+        const rx = r * Math.cos(phi), ry = r * Math.sin(phi);
+        let Zx, Zy;
+
+        if ((hx + rx - f.mu_x) ** 2 + (hy + ry - f.mu_y) ** 2 > (hx - rx - f.mu_x) ** 2 + (hy - ry - f.mu_y) ** 2) {
+            Zx = hx + rx; Zy = hy + ry;
+        } else {
+            Zx = hx - rx; Zy = hy - ry;
+        }
+        return { Zx, Zy, Zcx: Zx - f.mu_x, Zcy: Zy - f.mu_y, c, s };
+    }
+
+    function velocity(f, px, py) {
+        const { Zx, Zy, Zcx, Zcy, c, s } = toCircle(f, px, py);
+        const a2 = f.a * f.a;
+        const Zc2 = Zcx * Zcx - Zcy * Zcy, Zc2i = 2 * Zcx * Zcy;
+        const m4 = Zc2 * Zc2 + Zc2i * Zc2i;
+        if (m4 < 1e-5) return { u: 0, v: 0 };
+
+        // circle plane: W = V(e^-ia - a^2 e^ia / Zc^2) + i Gamma / (2 pi Zc)
+        let Wx = f.V * (c - a2 * (c * Zc2 + s * Zc2i) / m4);
+        let Wy = f.V * (-s - a2 * (s * Zc2 - c * Zc2i) / m4);
+        const G = f.gamma / (2 * Math.PI * (Zcx * Zcx + Zcy * Zcy));
+        Wx += G * Zcy; Wy += G * Zcx;
+
+        const Z2x = Zx * Zx - Zy * Zy, Z2y = 2 * Zx * Zy;
+        const mZ4 = Z2x * Z2x + Z2y * Z2y;
+        const dzx = 1 - f.b * f.b * Z2x / mZ4, dzy = f.b * f.b * Z2y / mZ4;
+        const den = dzx * dzx + dzy * dzy;
+        if (den < 1e-4) return { u: f.V, v: 0 };
+
+        // dw/dz = u - iv in the body frame, rotated back to world
+        const ux = (Wx * dzx + Wy * dzy) / den, uy = (Wy * dzx - Wx * dzy) / den;
+        return { u: ux * c - uy * s, v: -ux * s - uy * c };
+    }
+
+    // psi = Im w; equals gamma/(2 pi) ln a on the body
+    function streamFunction(f, px, py) {
+        const { Zcx, Zcy, c, s } = toCircle(f, px, py);
+        const m2 = Zcx * Zcx + Zcy * Zcy;
+        return f.V * ((Zcy * c - Zcx * s) + f.a * f.a * (s * Zcx - c * Zcy) / m2) + f.gamma / (4 * Math.PI) * Math.log(m2);
+    }
+
+    function insideBody(f, px, py) {
+        const { Zcx, Zcy } = toCircle(f, px, py);
+        return Zcx * Zcx + Zcy * Zcy < f.a * f.a;
+    }
+
+    // flows carrying panels (see panel_method.js) are evaluated by the panel solver
+    function safeVelocity(f, x, y) {
+        const v = f.panels ? PanelMethod.velocity(f, x, y) : velocity(f, x, y);
+        return isNaN(v.u) || isNaN(v.v) ? { u: f.V, v: 0 } : v;
+    }
+
+    // x coordinate of particles held off-screen until a timeline releases them
+    const PARKED = 1e4;
+
+    // Advance interleaved (x, y) positions by time h with RK2 (midpoint) or RK4.
+    // Particles leaving the [-10, 10] x [-6, 6] window re-enter at x = -10 with a random y or,
+    // with seeding.emitters (interleaved x, y), at emitter (i mod count); with seeding.hold they
+    // are parked instead. seeding.speed and seeding.release, when given, receive each particle's
+    // speed over V and the y it last entered at.
+    function advect(f, pos, h, method, seeding = {}) {
+        const { emitters, hold, speed, release } = seeding;
+        const m = emitters ? emitters.length / 2 : 0;
+        for (let i = 0; i < pos.length; i += 2) {
+            let x = pos[i], y = pos[i + 1];
+            if (x === PARKED) {
+                if (speed) speed[i / 2] = 0;
+                continue;
+            }
+            const k1 = safeVelocity(f, x, y);
+            if (speed) speed[i / 2] = Math.hypot(k1.u, k1.v) / f.V;
+            if (method === 'rk4') {
+                const k2 = safeVelocity(f, x + h / 2 * k1.u, y + h / 2 * k1.v);
+                const k3 = safeVelocity(f, x + h / 2 * k2.u, y + h / 2 * k2.v);
+                const k4 = safeVelocity(f, x + h * k3.u, y + h * k3.v);
+                x += h / 6 * (k1.u + 2 * k2.u + 2 * k3.u + k4.u);
+                y += h / 6 * (k1.v + 2 * k2.v + 2 * k3.v + k4.v);
+            } else {
+                const k2 = safeVelocity(f, x + h / 2 * k1.u, y + h / 2 * k1.v);
+                x += h * k2.u;
+                y += h * k2.v;
+            }
+            if (!(x <= 10 && Math.abs(y) <= 6)) {
+                if (hold) {
+                    x = PARKED; y = 0;
+                } else if (m) {
+                    const e = (i / 2) % m;
+                    x = emitters[e * 2]; y = emitters[e * 2 + 1];
+                } else {
+                    x = -10;
+                    y = (Math.random() - 0.5) * 7;
+                }
+                if (release) release[i / 2] = y;
+            }
+            pos[i] = x; pos[i + 1] = y;
+        }
+        return pos;
+    }
+
+    // Timelines: at every multiple of seeding.period in flow time [t0, t1) the next block of
+    // (emitter count) particles, oldest first, restarts on the emitters.
+    function releaseTimelines(pos, seeding, t0, t1) {
+        const em = seeding.emitters, m = em.length / 2;
+        const lines = Math.floor(pos.length / 2 / m);
+        if (!lines) return pos;
+        for (let k = Math.ceil(t0 / seeding.period); k * seeding.period < t1; k++) {
+            const first = (k % lines) * m;
+            for (let e = 0; e < m; e++) {
+                pos[(first + e) * 2] = em[e * 2];
+                pos[(first + e) * 2 + 1] = em[e * 2 + 1];
+                if (seeding.release) seeding.release[first + e] = em[e * 2 + 1];
+            }
+        }
+        return pos;
+    }
+
+    return { PARKED, toCircle, velocity, streamFunction, insideBody, advect, releaseTimelines };
+})();
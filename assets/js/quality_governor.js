@@ -0,0 +1,118 @@
+// assets/js/quality_governor.js
+// Shared frame-rate governor for the GPU simulations. While a governed view is showing it
+// times frames and moves a resolution scale through LEVELS to hold the target FPS: one step
+// down after DOWN_AFTER seconds below target, one step up after a longer spell with headroom
+// (doubled each time a step up has to be taken back). It also reports suspension: the tab is
+// hidden or every watched element has left the viewport.
+//   watch(...els)        observe els and the page visibility; starts the frame timer
+//   govern(flag)         time frames only while flag is set (the current view is a GPU sim)
+//   onLevel(cb(scale))   resolution scale changed; subscribers rebuild their targets
+//   onSuspend(cb(flag))  stepping should stop (true) or restart (false)
+//   scale(), isSuspended(), setTarget(fps)
+
+const QualityGovernor = (function () {
+    const LEVELS = [1, 0.75, 0.5, 0.35, 0.25];
+    const DOWN_AFTER = 2;               // seconds of slow frames before stepping down
+    const UP_AFTER = 6;                 // seconds of fast frames before stepping up, at first
+    const SETTLE = 1;                   // seconds not timed after a change, resume or switch
+
+    let target = 50;
+    let level = 0;
+    let governing = false;
+    let hidden = false, offscreen = false;
+    let frame = null, last = null;
+    let frameTime = 0;                  // smoothed seconds per frame
+    let slow = 0, fast = 0, settle = SETTLE;
+    let upAfter = UP_AFTER, steppedUp = false;
+    let observer = null;
+    const levelListeners = [];
+    const suspendListeners = [];
+
+    const isSuspended = () => hidden || offscreen;
+
+    function restartTiming() {
+        frameTime = 0;
+        slow = fast = 0;
+        settle = SETTLE;
+    }
+
+    function setLevel(next) {
+        // a step down right after a step up means the higher level cannot be held
+        if (next > level && steppedUp) upAfter = Math.min(upAfter * 2, 120);
+        steppedUp = next < level;
+        level = next;
+        restartTiming();
+        levelListeners.forEach(cb => cb(LEVELS[level], level));
+    }
+
+    function tick(now) {
+        frame = requestAnimationFrame(tick);
+        const dt = last === null ? 0 : (now - last) / 1000;
+        last = now;
+        // long gaps are stalls (tab switches, rebuilds), not steady frame time
+        if (!governing || isSuspended() || dt <= 0 || dt > 0.5) return;
+        if (settle > 0) {
+            settle -= dt;
+            return;
+        }
+        frameTime = frameTime ? frameTime + 0.1 * (dt - frameTime) : dt;
+        const fps = 1 / frameTime;
+
+        if (fps < target * 0.9) {
+            slow += dt;
+            fast = 0;
+        } else if (fps > target * 1.1) {
+            fast += dt;
+            slow = 0;
+        } else {
+            slow = fast = 0;
+            steppedUp = false;
+        }
+        if (slow > DOWN_AFTER && level < LEVELS.length - 1) setLevel(level + 1);
+        else if (fast > upAfter && level > 0) setLevel(level - 1);
+    }
+
+    function setSuspended(nextHidden, nextOffscreen) {
+        const was = isSuspended();
+        hidden = nextHidden;
+        offscreen = nextOffscreen;
+        if (isSuspended() === was) return;
+        restartTiming();
+        suspendListeners.forEach(cb => cb(isSuspended()));
+    }
+
+    const onVisibility = () => setSuspended(document.visibilityState === 'hidden', offscreen);
+
+    // offscreen once none of els intersects the viewport
+    function watch(...els) {
+        if (observer) observer.disconnect();
+        else document.addEventListener('visibilitychange', onVisibility);
+        if (typeof IntersectionObserver !== 'undefined') {
+            const showing = new Set();
+            observer = new IntersectionObserver(entries => {
+                entries.forEach(e => e.isIntersecting ? showing.add(e.target) : showing.delete(e.target));
+                setSuspended(hidden, showing.size === 0);
+            });
+            els.forEach(el => observer.observe(el));
+        }
+        onVisibility();
+        if (frame === null) frame = requestAnimationFrame(tick);
+    }
+
+    return {
+        LEVELS,
+        watch,
+        govern(flag) {
+            governing = !!flag;
+            restartTiming();
+        },
+        onLevel(cb) { levelListeners.push(cb); },
+        onSuspend(cb) { suspendListeners.push(cb); },
+        scale: () => LEVELS[level],
+        isSuspended,
+        setTarget(fps) {
+            target = fps;
+            restartTiming();
+        }
+    };
+})();
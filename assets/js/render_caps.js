@@ -0,0 +1,95 @@
+// assets/js/render_caps.js
+// One-time capability probe behind the simulation fallback chain. probe() returns
+//   { webgl2, webgl1, canvas2d,   contexts that can be created
+//     floatTargets,               half-float color attachments are framebuffer-complete
+//     linearFloat,                half-float textures filter linearly
+//     tier }                      best backend: 'webgl2' | 'webgl1' | 'canvas2d' | 'static'
+// floatTargets and linearFloat describe the best WebGL context found. The WebGL2 solver
+// (fluid_sim.js) keeps its fields in linearly filtered RGBA16F targets and needs both; the
+// WebGL1 solver uses float targets when it can render to them and packs its signed fields
+// into RGBA8 otherwise, so it only needs a context. rendersTo(gl, ...) is the completeness
+// check both use.
+
+const RenderCaps = (function () {
+    const TIERS = ['webgl2', 'webgl1', 'canvas2d', 'static'];
+    const LABELS = {
+        webgl2: 'WebGL2 · half-float solver',
+        webgl1: 'WebGL1 solver',
+        canvas2d: 'Canvas 2D · vortex field',
+        static: 'Static image'
+    };
+    let caps = null;
+
+    // attach a 4 × 4 texture of the given format to a framebuffer and ask whether it is complete
+    function rendersTo(gl, internalFormat, format, type) {
+        const tex = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, tex);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, 4, 4, 0, format, type, null);
+        const fbo = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
+        const complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.deleteFramebuffer(fbo);
+        gl.deleteTexture(tex);
+        return complete;
+    }
+
+    // hand the probe context back instead of waiting for garbage collection
+    function release(gl) {
+        const lose = gl.getExtension('WEBGL_lose_context');
+        if (lose) lose.loseContext();
+    }
+
+    function probeWebGL2() {
+        const gl = document.createElement('canvas').getContext('webgl2');
+        if (!gl) return null;
+        const found = {
+            floatTargets: !!gl.getExtension('EXT_color_buffer_float') && rendersTo(gl, gl.RGBA16F, gl.RGBA, gl.HALF_FLOAT),
+            // 16-bit float textures are filterable in core WebGL2
+            linearFloat: true
+        };
+        release(gl);
+        return found;
+    }
+
+    function probeWebGL1() {
+        const canvas = document.createElement('canvas');
+        const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+        if (!gl) return null;
+        const half = gl.getExtension('OES_texture_half_float');
+        const found = {
+            floatTargets: !!half && rendersTo(gl, gl.RGBA, gl.RGBA, half.HALF_FLOAT_OES),
+            linearFloat: !!half && !!gl.getExtension('OES_texture_half_float_linear')
+        };
+        release(gl);
+        return found;
+    }
+
+    function probe() {
+        if (caps) return caps;
+        const gl2 = probeWebGL2(), gl1 = probeWebGL1();
+        const best = gl2 || gl1 || {};
+        const canvas2d = !!document.createElement('canvas').getContext('2d');
+        caps = {
+            webgl2: !!gl2,
+            webgl1: !!gl1,
+            canvas2d,
+            floatTargets: !!best.floatTargets,
+            linearFloat: !!best.linearFloat,
+            tier: gl2 && gl2.floatTargets && gl2.linearFloat ? 'webgl2'
+                : gl1 ? 'webgl1'
+                : canvas2d ? 'canvas2d' : 'static'
+        };
+        return caps;
+    }
+
+    // tiers to try, best first, for a view whose own renderer is `preferred`
+    function chain(preferred = 'webgl2') {
+        return TIERS.slice(Math.max(TIERS.indexOf(preferred), TIERS.indexOf(probe().tier)));
+    }
+
+    return { TIERS, LABELS, probe, chain, rendersTo };
+})();
@@ -0,0 +1,128 @@
+// assets/js/sim_registry.js
+// Registry of the homepage simulations behind #sim-ui. Each simulation registers
+//   { name, label, detail,          button text (detail is the small second line)
+//     scrollHint,                   #scroll-text while it is showing
+//     enter(tl, from), exit(tl, to) add its transition tweens to the shared GSAP timeline
+//     enable(), disable(),          start / stop simulating; disable runs as the exit begins
+//     setScrollFactor(p),           page scroll progress 0..1, sent to every registered sim
+//     suspend(),                    after its exit transition has finished, e.g. pause()
+//     pause(), resume(),            stop / restart stepping while the page is hidden or
+//                                   scrolled away (see setSuspended)
+//     linkState(), applyLink(params) its deep-link query parameters as a plain object, and
+//                                   restoring them from a URLSearchParams }
+// and everything but name and label is optional. window.currentSim and
+// window.isTransitioning mirror the registry for modules that read them.
+
+const SimRegistry = (function () {
+    const sims = [];
+    const listeners = [];
+    let current = null;
+    let ui = null;
+    let suspended = false;
+    let idle = null;                // whenIdle callback waiting for the transition to end
+
+    const find = name => sims.find(s => s.name === name);
+    const call = (sim, hook, ...args) => { if (sim && typeof sim[hook] === 'function') sim[hook](...args); };
+
+    function button(sim) {
+        const btn = document.createElement('div');
+        btn.className = 'sim-btn' + (sim.name === current ? ' active' : '');
+        btn.id = 'btn-' + sim.name;
+        btn.textContent = sim.label;
+        if (sim.detail) {
+            const detail = document.createElement('div');
+            detail.className = 'sim-btn-detail';
+            detail.textContent = sim.detail;
+            btn.appendChild(detail);
+        }
+        btn.addEventListener('click', () => api.switchTo(sim.name));
+        return btn;
+    }
+
+    const api = {
+        register(sim) {
+            if (!sim || !sim.name || !sim.label) throw new Error('SimRegistry: a simulation needs a name and a label');
+            if (find(sim.name)) throw new Error('SimRegistry: "' + sim.name + '" is already registered');
+            sims.push(sim);
+            if (ui) ui.appendChild(button(sim));
+            return api;
+        },
+
+        // generate one button per registered simulation (and per later registration) in el
+        mount(el) {
+            ui = el;
+            ui.replaceChildren(...sims.map(button));
+            return api;
+        },
+
+        // show a simulation without a transition, e.g. at page load
+        start(name) {
+            const sim = find(name);
+            if (!sim) return api;
+            current = name;
+            window.currentSim = name;
+            call(sim, 'enable');
+            listeners.forEach(cb => cb(sim, null));
+            api.syncButtons();
+            return api;
+        },
+
+        switchTo(name) {
+            const next = find(name), prev = find(current);
+            if (!next || name === current || window.isTransitioning) return;
+            window.isTransitioning = true;
+            current = name;
+            window.currentSim = name;
+            api.syncButtons();
+
+            const tl = gsap.timeline({
+                onComplete: () => {
+                    window.isTransitioning = false;
+                    if (prev && current !== prev.name) call(prev, 'suspend');
+                    const cb = idle;
+                    idle = null;
+                    if (cb) cb();
+                }
+            });
+            // a switch while suspended hands prev back running and leaves next paused
+            if (suspended) call(prev, 'resume');
+            call(prev, 'disable');
+            call(prev, 'exit', tl, next);
+            call(next, 'enable');
+            if (suspended) call(next, 'pause');
+            call(next, 'enter', tl, prev);
+            listeners.forEach(cb => cb(next, prev));
+        },
+
+        // run cb now, or once the transition playing has finished; a later call replaces a
+        // callback that is still waiting
+        whenIdle(cb) {
+            if (!window.isTransitioning) return cb();
+            idle = cb;
+        },
+
+        // pause (true) or resume (false) the simulation on screen
+        setSuspended(flag) {
+            if (!!flag === suspended) return;
+            suspended = !!flag;
+            call(find(current), suspended ? 'pause' : 'resume');
+        },
+
+        setScrollFactor(p) {
+            sims.forEach(sim => call(sim, 'setScrollFactor', p));
+        },
+
+        syncButtons() {
+            if (!ui) return;
+            ui.querySelectorAll('.sim-btn').forEach(b => b.classList.toggle('active', b.id === 'btn-' + current));
+        },
+
+        // cb(next, prev) after every switch; prev is null for start()
+        onSwitch(cb) { listeners.push(cb); },
+        current: () => find(current),
+        get: find,
+        list: () => sims.slice()
+    };
+
+    return api;
+})();
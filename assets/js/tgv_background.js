@@ -1,11 +1,18 @@
 // assets/js/tgv_background.js
 // Procedural Tayler–Green–style vortex background for GPU Turbulence mode.
+// Lifecycle: init(container, opts) -> pause() / resume() -> dispose(); the canvas follows
+// the container's size rather than the window's.
 
 const TaylorGreenBackground = (function () {
-    let canvas, gl;
+    let canvas, gl, ownsCanvas = false;
     let program, buffer;
     let uResolution, uTime, uScroll;
     let startTime = performance.now();
+    let pausedAt = null;
+    let frame = null;
+    let resizeObserver = null;
+    let maxPixelRatio = 2;
+    let quality = 1;            // fraction of the display resolution drawn, see setQuality
     let active = false;
     let scrollFactor = 0.0;
 
@@ -31,6 +38,9 @@ const TaylorGreenBackground = (function () {
         gl.attachShader(prog, fs);
         gl.bindAttribLocation(prog, 0, "a_position"); // attribute location 0
         gl.linkProgram(prog);
+        // shaders are freed with the program
+        gl.deleteShader(vs);
+        gl.deleteShader(fs);
 
         if (!gl.getProgramParameter(prog, gl.LINK_STATUS)) {
             console.error("TGV program link error:", gl.getProgramInfoLog(prog));
@@ -42,9 +52,9 @@ const TaylorGreenBackground = (function () {
 
     function resize() {
         if (!canvas || !gl) return;
-        const dpr = Math.min(window.devicePixelRatio || 1, 2);
-        const displayWidth = Math.floor(canvas.clientWidth * dpr);
-        const displayHeight = Math.floor(canvas.clientHeight * dpr);
+        const dpr = Math.min(window.devicePixelRatio || 1, maxPixelRatio) * quality;
+        const displayWidth = Math.max(1, Math.floor(canvas.clientWidth * dpr));
+        const displayHeight = Math.max(1, Math.floor(canvas.clientHeight * dpr));
 
         if (canvas.width !== displayWidth || canvas.height !== displayHeight) {
             canvas.width = displayWidth;
@@ -140,12 +150,26 @@ const TaylorGreenBackground = (function () {
         }
     `;
 
-    function init(canvasEl) {
-        canvas = canvasEl;
-        if (!canvas) {
-            console.warn("TaylorGreenBackground: canvas not found");
+    // a canvas is drawn into directly; any other element gets a canvas that fills it
+    function canvasFor(container) {
+        if (container instanceof HTMLCanvasElement) return container;
+        const el = document.createElement("canvas");
+        el.style.display = "block";
+        container.appendChild(el);
+        ownsCanvas = true;
+        return el;
+    }
+
+    // opts: { pixelRatio: cap on devicePixelRatio (2), active: start drawing immediately (false) }
+    function init(container, opts = {}) {
+        if (gl) dispose();
+        if (!container) {
+            console.warn("TaylorGreenBackground: container not found");
             return api;
         }
+        canvas = canvasFor(container);
+        if (opts.pixelRatio) maxPixelRatio = opts.pixelRatio;
+        active = !!opts.active;
 
         // Ensure canvas has layout size
         if (!canvas.style.width) canvas.style.width = "100%";
@@ -182,15 +206,22 @@ const TaylorGreenBackground = (function () {
         uScroll = gl.getUniformLocation(program, "u_scroll");
 
         resize();
-        window.addEventListener("resize", resize);
+        if (typeof ResizeObserver !== "undefined") {
+            resizeObserver = new ResizeObserver(resize);
+            resizeObserver.observe(canvas);
+        } else {
+            window.addEventListener("resize", resize);
+        }
 
-        requestAnimationFrame(loop);
+        startTime = performance.now();
+        pausedAt = null;
+        frame = requestAnimationFrame(loop);
 
         return api;
     }
 
     function loop(now) {
-        requestAnimationFrame(loop);
+        frame = requestAnimationFrame(loop);
         if (!gl || !program) return;
 
         resize();
@@ -209,11 +240,55 @@ const TaylorGreenBackground = (function () {
         }
     }
 
+    // stop the animation loop; the pattern resumes where it left off
+    function pause() {
+        if (frame === null) return;
+        cancelAnimationFrame(frame);
+        frame = null;
+        pausedAt = performance.now();
+    }
+
+    function resume() {
+        if (frame !== null || !gl || !program) return;
+        if (pausedAt !== null) startTime += performance.now() - pausedAt;
+        pausedAt = null;
+        frame = requestAnimationFrame(loop);
+    }
+
+    // free the GL program and buffer, stop watching the size, and remove a canvas we created
+    function dispose() {
+        pause();
+        if (resizeObserver) resizeObserver.disconnect();
+        else window.removeEventListener("resize", resize);
+        resizeObserver = null;
+        if (gl) {
+            gl.deleteBuffer(buffer);
+            gl.deleteProgram(program);
+            if (ownsCanvas) {
+                const lose = gl.getExtension("WEBGL_lose_context");
+                if (lose) lose.loseContext();
+            }
+        }
+        if (ownsCanvas && canvas.parentNode) canvas.parentNode.removeChild(canvas);
+        canvas = gl = program = buffer = null;
+        ownsCanvas = false;
+        active = false;
+        pausedAt = null;
+    }
+
     const api = {
         init,
+        pause,
+        resume,
+        dispose,
+        isRunning: () => frame !== null,
         enable() { active = true; },
         disable() { active = false; },
-        setScrollFactor(v) { scrollFactor = v; }
+        setScrollFactor(v) { scrollFactor = v; },
+        // draw at a fraction of the display resolution (0..1] and let CSS scale it up
+        setQuality(scale) {
+            if (scale > 0 && isFinite(scale)) quality = Math.min(scale, 1);
+        }
     };
 
     return api;
@@ -1,30 +1,33 @@
 // assets/js/vortex_bg.js
-// Simple fake vortex field for background, scroll-responsive
+// Simple fake vortex field for background, scroll-responsive.
+// Lifecycle: init(container, opts) -> pause() / resume() -> dispose(); sized to the container.
 
 const VortexBG = (function () {
-  let canvas, ctx;
+  let canvas, ctx, ownsCanvas = false;
   let vortices = [];
   let active = false;
   let scrollFactor = 0.0;      // 0–1 from scroll
   let lastTime = performance.now();
   let w = 0, h = 0;
-
-  const NUM_VORTICES = 10;
+  let frame = null;
+  let resizeObserver = null;
+  let numVortices = 10;
 
   function rand(min, max) {
     return min + Math.random() * (max - min);
   }
 
+  // w, h are in CSS pixels; the backing store is scaled by devicePixelRatio
   function resize() {
     if (!canvas) return;
     const rect = canvas.getBoundingClientRect();
     const cw = rect.width || window.innerWidth;
     const ch = rect.height || window.innerHeight;
     if (cw !== w || ch !== h) {
-      w = canvas.width = cw * window.devicePixelRatio;
-      h = canvas.height = ch * window.devicePixelRatio;
-      canvas.style.width = cw + "px";
-      canvas.style.height = ch + "px";
+      w = cw;
+      h = ch;
+      canvas.width = cw * window.devicePixelRatio;
+      canvas.height = ch * window.devicePixelRatio;
       if (ctx) ctx.setTransform(window.devicePixelRatio, 0, 0, window.devicePixelRatio, 0, 0);
     }
   }
@@ -50,7 +53,7 @@ const VortexBG = (function () {
 
   function initVortices() {
     vortices = [];
-    for (let i = 0; i < NUM_VORTICES; i++) {
+    for (let i = 0; i < numVortices; i++) {
       vortices.push(makeVortex(i));
     }
   }
@@ -105,7 +108,7 @@ const VortexBG = (function () {
   function render(now) {
     const dt = (now - lastTime) / 1000;
     lastTime = now;
-    requestAnimationFrame(render);
+    frame = requestAnimationFrame(render);
     if (!active || !ctx) return;
 
     resize();
@@ -120,19 +123,69 @@ const VortexBG = (function () {
     vortices.forEach(v => drawVortex(v, t));
   }
 
-  return {
-    init(canvasEl) {
-      canvas = canvasEl;
-      if (!canvas) return;
+  // a canvas is drawn into directly; any other element gets a canvas that fills it
+  function canvasFor(container) {
+    if (container instanceof HTMLCanvasElement) return container;
+    const el = document.createElement("canvas");
+    el.style.display = "block";
+    container.appendChild(el);
+    ownsCanvas = true;
+    return el;
+  }
+
+  function pause() {
+    if (frame === null) return;
+    cancelAnimationFrame(frame);
+    frame = null;
+  }
+
+  function resume() {
+    if (frame !== null || !ctx) return;
+    lastTime = performance.now();
+    frame = requestAnimationFrame(render);
+  }
+
+  function dispose() {
+    pause();
+    if (resizeObserver) resizeObserver.disconnect();
+    else window.removeEventListener("resize", resize);
+    resizeObserver = null;
+    if (ownsCanvas && canvas && canvas.parentNode) canvas.parentNode.removeChild(canvas);
+    canvas = ctx = null;
+    ownsCanvas = false;
+    vortices = [];
+    active = false;
+    w = h = 0;
+  }
+
+  const api = {
+    // opts: { vortices: count (10), active: start drawing immediately (false) }
+    init(container, opts = {}) {
+      if (ctx) dispose();
+      if (!container) return api;
+      canvas = canvasFor(container);
+      if (!canvas.style.width) canvas.style.width = "100%";
+      if (!canvas.style.height) canvas.style.height = "100%";
       ctx = canvas.getContext("2d");
-      if (!ctx) return;
+      if (!ctx) return api;
+      if (opts.vortices > 0) numVortices = Math.round(opts.vortices);
       resize();
       initVortices();
-      active = false;
+      active = !!opts.active;
       lastTime = performance.now();
-      requestAnimationFrame(render);
-      window.addEventListener("resize", resize);
+      frame = requestAnimationFrame(render);
+      if (typeof ResizeObserver !== "undefined") {
+        resizeObserver = new ResizeObserver(resize);
+        resizeObserver.observe(canvas);
+      } else {
+        window.addEventListener("resize", resize);
+      }
+      return api;
     },
+    pause,
+    resume,
+    dispose,
+    isRunning: () => frame !== null,
     enable() {
       active = true;
     },
@@ -143,4 +196,6 @@ const VortexBG = (function () {
       scrollFactor = Math.max(0, Math.min(1, f));
     }
   };
+
+  return api;
 })();
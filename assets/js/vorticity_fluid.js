@@ -1,6 +1,7 @@
 // VORTICITY FLUID — lightweight adaptation of Pavel Dobryakov's WebGL fluid
 // simulation. Fixed configuration and no UI: just pointer-driven vorticity
-// and a gentle ambient swirl.
+// and a gentle ambient swirl. Edge conditions come from fluid_boundaries.js
+// (window.setFluidBoundaries), open by default.
 (function () {
   const config = {
     SIM_RESOLUTION: 128,
@@ -35,17 +36,24 @@
       pressureProgram, gradientSubtractProgram, splatProgram, displayProgram;
   let lastTime = performance.now();
   let ambientTimer;
+  let boundaries = FluidBoundaries.normalize();
 
+  window.setFluidBoundaries = function setFluidBoundaries(spec) {
+    boundaries = FluidBoundaries.normalize(spec, boundaries);
+  };
+
+  // Returns false, leaving fluidInitialized unset, when WebGL2 is unavailable so the
+  // caller can fall back to another renderer.
   window.initFluidBackground = function initFluidBackground() {
-    if (window.fluidInitialized) return;
-    window.fluidInitialized = true;
+    if (window.fluidInitialized) return true;
 
     canvas = document.getElementById('fluid-canvas');
-    gl = canvas.getContext('webgl2', { alpha: false });
+    gl = canvas && canvas.getContext('webgl2', { alpha: false });
     if (!gl) {
       console.warn('WebGL2 not supported for fluid background.');
-      return;
+      return false;
     }
+    window.fluidInitialized = true;
 
     gl.getExtension('EXT_color_buffer_float');
     initPrograms();
@@ -53,6 +61,7 @@
     initPointers();
     requestAnimationFrame(update);
     startAmbientSplats();
+    return true;
   };
 
   function initPrograms() {
@@ -78,6 +87,17 @@
 
     const baseVertex = baseVertexShader;
 
+    // the fields hold v * 0.5 + 0.5 in half floats, so inflow speeds of many texels per
+    // second survive the encoding; FluidBoundaries reads them through these
+    const boundaryGLSL = `
+        vec2 decode(vec2 v) { return v * 2.0 - 1.0; }
+        vec2 encode(vec2 v) { return v * 0.5 + 0.5; }
+        float decodeScalar(vec4 c) { return (c.r - 0.5) * 2.0; }
+        vec2 readVel(sampler2D s, vec2 uv) { return decode(texture2D(s, uv).xy); }
+        float readScalar(sampler2D s, vec2 uv) { return decodeScalar(texture2D(s, uv)); }
+        ${FluidBoundaries.GLSL}
+    `;
+
     advectProgram = (() => {
       const fs = `
         precision highp float;
@@ -87,12 +107,14 @@
         uniform vec2 texelSize;
         uniform float dt;
         uniform float dissipation;
+        uniform bool isVelocity;
+        ${boundaryGLSL}
 
-        vec2 decode(vec2 v) { return v * 2.0 - 1.0; }
         void main() {
           vec2 vel = decode(texture2D(uVelocity, vUv).xy);
-          vec2 coord = vUv - dt * vel * texelSize;
+          vec2 coord = bcWrap(vUv - dt * vel * texelSize);
           vec4 result = texture2D(uSource, coord) * dissipation;
+          if (isVelocity) result.xy = encode(bcVelocity(uSource, vUv, decode(result.xy), texelSize));
           gl_FragColor = result;
         }
       `;
@@ -159,13 +181,13 @@
         varying vec2 vUv;
         uniform sampler2D uVelocity;
         uniform vec2 texelSize;
+        ${boundaryGLSL}
 
-        vec2 decode(vec2 v) { return v * 2.0 - 1.0; }
         void main() {
-          vec2 L = decode(texture2D(uVelocity, vUv - vec2(texelSize.x, 0.0)).xy);
-          vec2 R = decode(texture2D(uVelocity, vUv + vec2(texelSize.x, 0.0)).xy);
-          vec2 B = decode(texture2D(uVelocity, vUv - vec2(0.0, texelSize.y)).xy);
-          vec2 T = decode(texture2D(uVelocity, vUv + vec2(0.0, texelSize.y)).xy);
+          vec2 L = readVel(uVelocity, bcWrap(vUv - vec2(texelSize.x, 0.0)));
+          vec2 R = readVel(uVelocity, bcWrap(vUv + vec2(texelSize.x, 0.0)));
+          vec2 B = readVel(uVelocity, bcWrap(vUv - vec2(0.0, texelSize.y)));
+          vec2 T = readVel(uVelocity, bcWrap(vUv + vec2(0.0, texelSize.y)));
           float div = (R.x - L.x + T.y - B.y) * 0.5;
           gl_FragColor = vec4(div * 0.5 + 0.5, 0.0, 0.0, 1.0);
         }
@@ -181,14 +203,15 @@
         uniform sampler2D uDivergence;
         uniform vec2 texelSize;
 
-        float decodeScalar(vec4 c) { return (c.r - 0.5) * 2.0; }
+        ${boundaryGLSL}
         vec4 encodeScalar(float v) { return vec4(v * 0.5 + 0.5, 0.0, 0.0, 1.0); }
 
         void main() {
-          float L = decodeScalar(texture2D(uPressure, vUv - vec2(texelSize.x, 0.0)));
-          float R = decodeScalar(texture2D(uPressure, vUv + vec2(texelSize.x, 0.0)));
-          float B = decodeScalar(texture2D(uPressure, vUv - vec2(0.0, texelSize.y)));
-          float T = decodeScalar(texture2D(uPressure, vUv + vec2(0.0, texelSize.y)));
+          float C = readScalar(uPressure, vUv);
+          float L = bcPressure(uPressure, vUv - vec2(texelSize.x, 0.0), C);
+          float R = bcPressure(uPressure, vUv + vec2(texelSize.x, 0.0), C);
+          float B = bcPressure(uPressure, vUv - vec2(0.0, texelSize.y), C);
+          float T = bcPressure(uPressure, vUv + vec2(0.0, texelSize.y), C);
           float div = decodeScalar(texture2D(uDivergence, vUv));
           float pressure = (L + R + B + T - div) * 0.25;
           gl_FragColor = encodeScalar(pressure);
@@ -205,17 +228,17 @@
         uniform sampler2D uPressure;
         uniform vec2 texelSize;
 
-        vec2 decode(vec2 v) { return v * 2.0 - 1.0; }
-        vec2 encode(vec2 v) { return v * 0.5 + 0.5; }
-        float decodeScalar(vec4 c) { return (c.r - 0.5) * 2.0; }
+        ${boundaryGLSL}
 
         void main() {
-          float L = decodeScalar(texture2D(uPressure, vUv - vec2(texelSize.x, 0.0)));
-          float R = decodeScalar(texture2D(uPressure, vUv + vec2(texelSize.x, 0.0)));
-          float B = decodeScalar(texture2D(uPressure, vUv - vec2(0.0, texelSize.y)));
-          float T = decodeScalar(texture2D(uPressure, vUv + vec2(0.0, texelSize.y)));
+          float C = readScalar(uPressure, vUv);
+          float L = bcPressure(uPressure, vUv - vec2(texelSize.x, 0.0), C);
+          float R = bcPressure(uPressure, vUv + vec2(texelSize.x, 0.0), C);
+          float B = bcPressure(uPressure, vUv - vec2(0.0, texelSize.y), C);
+          float T = bcPressure(uPressure, vUv + vec2(0.0, texelSize.y), C);
           vec2 grad = vec2(R - L, T - B) * 0.5;
-          vec2 vel = decode(texture2D(uVelocity, vUv).xy) - grad;
+          vec2 vel = readVel(uVelocity, vUv) - grad;
+          vel = bcVelocity(uVelocity, vUv, vel, texelSize);
           gl_FragColor = vec4(encode(vel), 0.0, 1.0);
         }
       `;
@@ -451,9 +474,11 @@
     gl.useProgram(advectProgram.program);
     gl.uniform2f(advectProgram.uniforms.texelSize, texelSize[0], texelSize[1]);
     gl.uniform1f(advectProgram.uniforms.dt, dt);
+    FluidBoundaries.setUniforms(gl, advectProgram.uniforms, boundaries, h, dt);
 
     // velocity
     gl.uniform1f(advectProgram.uniforms.dissipation, config.VELOCITY_DISSIPATION);
+    gl.uniform1i(advectProgram.uniforms.isVelocity, 1);
     gl.uniform1i(advectProgram.uniforms.uVelocity, 0);
     gl.uniform1i(advectProgram.uniforms.uSource, 1);
     gl.activeTexture(gl.TEXTURE0);
@@ -465,6 +490,7 @@
 
     // dye
     gl.uniform1f(advectProgram.uniforms.dissipation, config.DYE_DISSIPATION);
+    gl.uniform1i(advectProgram.uniforms.isVelocity, 0);
     gl.activeTexture(gl.TEXTURE0);
     gl.bindTexture(gl.TEXTURE_2D, velocity.read.texture);
     gl.activeTexture(gl.TEXTURE1);
@@ -498,6 +524,7 @@
     gl.useProgram(divergenceProgram.program);
     gl.uniform1i(divergenceProgram.uniforms.uVelocity, 0);
     gl.uniform2f(divergenceProgram.uniforms.texelSize, texelSize[0], texelSize[1]);
+    FluidBoundaries.setUniforms(gl, divergenceProgram.uniforms, boundaries, h, dt);
     gl.activeTexture(gl.TEXTURE0);
     gl.bindTexture(gl.TEXTURE_2D, velocity.read.texture);
     blit(divergence);
@@ -506,6 +533,7 @@
     gl.useProgram(pressureProgram.program);
     gl.uniform1i(pressureProgram.uniforms.uDivergence, 0);
     gl.uniform2f(pressureProgram.uniforms.texelSize, texelSize[0], texelSize[1]);
+    FluidBoundaries.setUniforms(gl, pressureProgram.uniforms, boundaries, h, dt);
     for (let i = 0; i < config.PRESSURE_ITERATIONS; i++) {
       gl.uniform1i(pressureProgram.uniforms.uPressure, 1);
       gl.activeTexture(gl.TEXTURE0);
@@ -521,6 +549,7 @@
     gl.uniform1i(gradientSubtractProgram.uniforms.uVelocity, 0);
     gl.uniform1i(gradientSubtractProgram.uniforms.uPressure, 1);
     gl.uniform2f(gradientSubtractProgram.uniforms.texelSize, texelSize[0], texelSize[1]);
+    FluidBoundaries.setUniforms(gl, gradientSubtractProgram.uniforms, boundaries, h, dt);
     gl.activeTexture(gl.TEXTURE0);
     gl.bindTexture(gl.TEXTURE_2D, velocity.read.texture);
     gl.activeTexture(gl.TEXTURE1);